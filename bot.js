@@ -1,28 +1,70 @@
 const TelegramBot = require('node-telegram-bot-api');
-const crypto = require('crypto');
-const { MongoClient } = require('mongodb');
+const { ObjectId } = require('mongodb');
 const cron = require('node-cron');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const fetch = require('node-fetch');
-const sharp = require('sharp');
-const imageHash = require('image-hash');
 const express = require('express');
 const bodyParser = require('body-parser');
+const {
+  runTriggers,
+  getTriggers,
+  addTrigger,
+  removeTrigger,
+  testTriggers,
+  describeTrigger
+} = require('./lib/triggers');
+const {
+  SETTINGS_SCHEMA,
+  getChatSettings,
+  updateChatSetting,
+  resetChatSettings,
+  stepSetting,
+  formatSettingValue,
+  buildSettingsKeyboard
+} = require('./lib/settings');
+const { applyDuplicatePolicy, pardonUser } = require('./lib/moderation');
+const { handleChatMemberUpdate, solveCaptcha, resumeCaptchas } = require('./lib/members');
+const { GENERAL_TOPIC_ID, getTopicId, inTopic, isTopicEnabled, getTopicName } = require('./lib/topics');
+const { renderStatsChart } = require('./lib/charts');
+const { createApiRouter } = require('./lib/api');
+const { hashMedia } = require('./lib/fingerprint');
+const {
+  allowlistDuplicatePair,
+  findSimilarMedia,
+  storeMedia,
+  findPostedLink,
+  storeLinks,
+  getLinkPostId,
+  findSimilarText,
+  storeText
+} = require('./lib/duplicates');
+const { getMessageLinkKeys } = require('./lib/links');
+const { fingerprintText } = require('./lib/copypasta');
+const { createStorage } = require('./lib/storage');
+const { createReplay } = require('./lib/replay');
+const { createKeyedQueue, createLimiter } = require('./lib/queue');
 
 // Use environment variables for sensitive information (Railway automatically provides these)
 const token = process.env.TELEGRAM_BOT_TOKEN;
-const mongoUri = process.env.MONGODB_URI || process.env.DATABASE_URL; // Railway provides DATABASE_URL for MongoDB
 const groupId = process.env.TELEGRAM_GROUP_ID;
 
+// Replay mode feeds recorded updates through the bot without Telegram, see scripts/replay.js
+const replayFile = process.env.REPLAY_FILE;
+
 // Validate required environment variables
-if (!token) {
+if (!token && !replayFile) {
   console.error('TELEGRAM_BOT_TOKEN environment variable is not set');
   process.exit(1);
 }
 
-if (!mongoUri) {
-  console.error('MONGODB_URI or DATABASE_URL environment variable is not set');
+// MongoDB, or memory with STORAGE=memory for running without a database
+let storage;
+try {
+  storage = createStorage({ defaultChatId: groupId ? parseInt(groupId) : null });
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
 
@@ -32,25 +74,63 @@ if (!groupId) {
 
 // Create a bot instance
 // Use webhook in production, polling in development
-const useWebhook = process.env.NODE_ENV === 'production' || process.env.USE_WEBHOOK === 'true';
-const webhookUrl = process.env.WEBHOOK_URL; // Your Railway app URL + /webhook
+const useWebhook = !replayFile && (process.env.NODE_ENV === 'production' || process.env.USE_WEBHOOK === 'true');
+const webhookUrl = process.env.WEBHOOK_URL; // Your Railway app URL, without a path
+
+// Secret Telegram sends with every webhook request, and the path it posts to.
+// Both default to values derived from the bot token so that they survive restarts.
+const deriveFromToken = purpose => crypto.createHash('sha256').update(`${purpose}:${token}`).digest('hex');
+const webhookSecret = process.env.WEBHOOK_SECRET || deriveFromToken('webhook-secret');
+const webhookPath = process.env.WEBHOOK_PATH || `/webhook/${deriveFromToken('webhook-path').slice(0, 32)}`;
 
-let bot;
 if (useWebhook && webhookUrl) {
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(webhookSecret)) {
+    console.error('WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+    process.exit(1);
+  }
+  if (!webhookPath.startsWith('/')) {
+    console.error('WEBHOOK_PATH must start with /');
+    process.exit(1);
+  }
+}
+
+// Telegram only sends reactions and chat_member updates when they are asked for
+const ALLOWED_UPDATES = ['message', 'callback_query', 'message_reaction', 'message_reaction_count', 'chat_member'];
+
+let bot;
+let replay = null;
+if (replayFile) {
+  bot = new TelegramBot(token || 'replay', { polling: false });
+  replay = createReplay(bot, {
+    fixturesDir: process.env.REPLAY_FIXTURES || path.dirname(replayFile),
+    admins: (process.env.REPLAY_ADMINS || '').split(',').filter(Boolean),
+    seed: parseInt(process.env.REPLAY_SEED) || 1
+  });
+  console.log('Bot initialized in replay mode');
+} else if (useWebhook && webhookUrl) {
   bot = new TelegramBot(token, { webHook: true });
   console.log('Bot initialized in webhook mode');
 } else {
-  bot = new TelegramBot(token, { polling: true });
+  bot = new TelegramBot(token, { polling: { params: { allowed_updates: JSON.stringify(ALLOWED_UPDATES) } } });
   console.log('Bot initialized in polling mode');
 }
 
-// MongoDB client
-const client = new MongoClient(mongoUri);
-const dbName = 'duplicate_detector';
-
 // Track consecutive text messages per chat (no media)
 const consecutiveTextMessages = {};
 
+// Updates of a chat are handled one at a time and in order, so two copies of a meme
+// posted seconds apart can't both be checked before either is stored
+const inChatOrder = createKeyedQueue();
+
+// Downloads running at the same time across all chats, the rest wait for a free slot
+const MAX_CONCURRENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3;
+const limitDownloads = createLimiter(MAX_CONCURRENT_DOWNLOADS);
+
+// Albums arrive as one message per item sharing a media_group_id. The items are collected
+// per chat until another message arrives or no item came for this long.
+const ALBUM_WAIT_MS = 1500;
+const pendingAlbums = new Map();
+
 // Express app for webhook
 const app = express();
 const port = process.env.PORT || 3000;
@@ -61,34 +141,32 @@ app.use(bodyParser.json());
 // Webhook endpoint
 if (useWebhook && webhookUrl) {
   // Set webhook with error handling
-  bot.setWebHook(`${webhookUrl}/webhook`, {
-    allowed_updates: ['message', 'message_reaction', 'message_reaction_count', 'chat_member']
+  bot.setWebHook(`${webhookUrl}${webhookPath}`, {
+    allowed_updates: ALLOWED_UPDATES,
+    secret_token: webhookSecret
   })
     .then(() => {
-      console.log(`✅ Webhook successfully set to: ${webhookUrl}/webhook`);
+      console.log(`✅ Webhook successfully set to: ${webhookUrl}${webhookPath}`);
       console.log('✅ Webhook configured to receive reaction updates');
     })
     .catch((error) => {
       console.error('❌ Error setting webhook:', error);
     });
   
-  // Webhook route
-  app.post('/webhook', (req, res) => {
-    try {
-      const updateType = Object.keys(req.body).find(key => key !== 'update_id');
-      console.log(`🔄 Received update type: ${updateType}`);
-      
-      // Log reaction updates specifically
-      if (updateType === 'message_reaction' || updateType === 'message_reaction_count') {
-        console.log('😍 Reaction update received:', JSON.stringify(req.body, null, 2));
-      }
-      
-      bot.processUpdate(req.body);
-    } catch (error) {
-      console.error('❌ Error processing webhook update:', error);
+  // Webhook route, only Telegram knows the secret token
+  app.post(webhookPath, (req, res) => {
+    if (!hasWebhookSecret(req)) {
+      console.warn('⚠️ Rejected webhook request without a valid secret token');
+      res.sendStatus(401);
+      return;
+    }
+    if (!req.body || !Number.isSafeInteger(req.body.update_id)) {
+      res.sendStatus(400);
+      return;
     }
     
-    res.sendStatus(200);
+    // Telegram delivers the update again unless it is answered with a success
+    processWebhookUpdate(req.body).then(handled => res.sendStatus(handled ? 200 : 500));
   });
   
   // Webhook info endpoint for debugging
@@ -107,62 +185,91 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Start Express server
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
+// Dashboard page, its data comes from the token protected /api
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
 });
 
-// Create downloads directory if it doesn't exist
-const downloadsDir = path.join(__dirname, 'downloads');
-if (!fs.existsSync(downloadsDir)) {
-  fs.mkdirSync(downloadsDir, { recursive: true });
+// Start Express server, replays run without it
+if (!replay) {
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
 }
 
-// Function to hash media files using perceptual hashing
-const hashMedia = (media, mediaType) => {
-  return new Promise((resolve, reject) => {
-    // Use traditional crypto hash as fallback
-    const cryptoHash = () => {
-      const hash = crypto.createHash('sha256');
-      hash.update(media);
-      return hash.digest('hex');
-    };
-    
-    // For images, use perceptual hashing
-    if (mediaType === 'photo' || mediaType === 'document') {
-      try {
-        // Save buffer to a temporary file since image-hash requires a file path
-        const tempFilePath = path.join(downloadsDir, `temp_${Date.now()}.jpg`);
-        
-        // Write the buffer to a temporary file
-        fs.writeFileSync(tempFilePath, media);
-        
-        // Use image-hash with the file path
-        imageHash.imageHash(tempFilePath, 16, true, (error, hash) => {
-          // Clean up the temporary file
-          try {
-            fs.unlinkSync(tempFilePath);
-          } catch (cleanupError) {
-            console.error('Error cleaning up temp file:', cleanupError);
-          }
-          
-          if (error) {
-            console.error('Error generating perceptual hash:', error);
-            resolve(cryptoHash()); // Fallback to crypto hash
-          } else {
-            resolve(hash);
-          }
-        });
-      } catch (error) {
-        console.error('Error in perceptual hashing:', error);
-        resolve(cryptoHash()); // Fallback to crypto hash
-      }
-    } else {
-      // For videos and other media types, use crypto hash for now
-      resolve(cryptoHash());
+// Check the X-Telegram-Bot-Api-Secret-Token header in constant time
+function hasWebhookSecret(req) {
+  const given = Buffer.from(req.get('x-telegram-bot-api-secret-token') || '');
+  const expected = Buffer.from(webhookSecret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// A webhook update still being handled after this long is assumed lost with its process
+const UPDATE_PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Work of the handlers started by the webhook update being dispatched, see processWebhookUpdate
+let dispatchedWork = null;
+
+// Register an update handler whose work a webhook update waits for before it is answered
+function onUpdate(event, handler) {
+  bot.on(event, (...args) => {
+    const work = handler(...args);
+    if (dispatchedWork) {
+      dispatchedWork.push(work);
     }
+    return work;
   });
-};
+}
+
+// Hand a webhook update to the bot unless it was handled before, and wait for its handlers.
+// The update only counts as handled once they are done. Returns whether it was handled,
+// false asks Telegram to deliver it again.
+async function processWebhookUpdate(update) {
+  let claim = 'claimed';
+  try {
+    claim = await storage.updates.claim(update.update_id, new Date(Date.now() - UPDATE_PROCESSING_TIMEOUT_MS));
+  } catch (error) {
+    // Handling an update twice is better than losing it
+    console.error('❌ Error recording webhook update, processing it anyway:', error);
+  }
+  if (claim === 'done') {
+    console.log(`⏭️ Skipping update ${update.update_id}, it was already processed`);
+    return true;
+  }
+  if (claim === 'processing') {
+    console.log(`⏳ Update ${update.update_id} is still being processed, asking for it again later`);
+    return false;
+  }
+  
+  try {
+    const updateType = Object.keys(update).find(key => key !== 'update_id');
+    console.log(`🔄 Received update type: ${updateType}`);
+    
+    // Log reaction updates specifically
+    if (updateType === 'message_reaction' || updateType === 'message_reaction_count') {
+      console.log('😍 Reaction update received:', JSON.stringify(update, null, 2));
+    }
+    
+    dispatchedWork = [];
+    let work;
+    try {
+      bot.processUpdate(update);
+    } finally {
+      work = dispatchedWork;
+      dispatchedWork = null;
+    }
+    await Promise.all(work);
+  } catch (error) {
+    console.error('❌ Error processing webhook update:', error);
+    await storage.updates.release(update.update_id)
+      .catch(releaseError => console.error('❌ Error releasing webhook update:', releaseError));
+    return false;
+  }
+  
+  await storage.updates.complete(update.update_id)
+    .catch(error => console.error('❌ Error recording processed webhook update:', error));
+  return true;
+}
 
 // HTML escape function for proper HTML parse mode
 function escapeHtml(text) {
@@ -175,290 +282,1113 @@ function escapeHtml(text) {
     .replace(/'/g, '&#39;');
 }
 
-// Format username as a mention if possible
-function formatUserMention(user) {
-  if (user.username && !user.username.includes(' ')) {
+// Names of a Telegram user as they are stored with their records
+function getAuthor(user) {
+  return {
+    username: user.username || null,
+    firstName: user.first_name || null,
+    lastName: user.last_name || null
+  };
+}
+
+// Names stored with a record, to copy them into another one
+function pickAuthor(record) {
+  return {
+    username: record.username || null,
+    firstName: record.firstName || null,
+    lastName: record.lastName || null
+  };
+}
+
+// Name of a user for plain text: the @username when they have one, otherwise their name or id
+function formatUserName(user) {
+  if (user.username) {
     return `@${user.username}`;
+  }
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || String(user.userId);
+}
+
+// HTML mention of a user. The tg://user link makes every user clickable and notified,
+// also those without a @username.
+function formatUserMention(user) {
+  const name = escapeHtml(formatUserName(user));
+  if (!user.userId) {
+    return name;
+  }
+  return `<a href="tg://user?id=${user.userId}">${name}</a>`;
+}
+
+// Connect to the storage and prepare it for use
+async function connectToDatabase() {
+  try {
+    await storage.connect();
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+}
+
+// Update user statistics for a chat
+async function updateUserStatistics(chatId, userId, author, mediaType) {
+  await storage.userStats.recordMessage(chatId, userId, author, mediaType);
+}
+
+// Track duplicate posting
+async function trackDuplicate(chatId, userId, author) {
+  // Update user's duplicate count
+  await storage.userStats.addDuplicate(chatId, userId, author);
+  
+  // Add entry to duplicate tracking
+  return storage.duplicates.insert({
+    chatId,
+    userId,
+    ...author,
+    timestamp: new Date()
+  });
+}
+
+// Undo trackDuplicate for a duplicate that turned out to be a false positive
+async function untrackDuplicate(chatId, userId, duplicateId) {
+  if (await storage.duplicates.delete(duplicateId)) {
+    await storage.userStats.removeDuplicate(chatId, userId);
+  }
+}
+
+// Public usernames of the chats seen so far, by chat id
+const chatUsernames = new Map();
+
+// Keep the public username of a chat for its message links, chats can gain or drop one at any time
+function rememberChat(chat) {
+  if (chat.username) {
+    chatUsernames.set(chat.id, chat.username);
   } else {
-    return user.username || user.userId;
+    chatUsernames.delete(chat.id);
   }
 }
 
-// Calculate Hamming distance between two perceptual hashes
-function calculateHashDistance(hash1, hash2) {
-  if (!hash1 || !hash2 || hash1.length !== hash2.length) {
-    return Infinity; // Return a large number if hashes can't be compared
+// Supergroup and channel ids are -100 followed by the id used in private links
+const SUPERGROUP_ID_OFFSET = -1000000000000;
+
+// Link to a message, through its topic in forums. Public chats are linked by username, private
+// supergroups through t.me/c. Returns null for basic groups and private chats, which have no message links.
+function buildMessageLink(chatId, messageId, topicId = null) {
+  let chatPath;
+  if (chatUsernames.has(chatId)) {
+    chatPath = chatUsernames.get(chatId);
+  } else if (chatId < SUPERGROUP_ID_OFFSET) {
+    chatPath = `c/${SUPERGROUP_ID_OFFSET - chatId}`;
+  } else {
+    return null;
   }
   
-  let distance = 0;
-  for (let i = 0; i < hash1.length; i++) {
-    if (hash1[i] !== hash2[i]) {
-      distance++;
+  if (topicId && topicId !== GENERAL_TOPIC_ID) {
+    return `https://t.me/${chatPath}/${topicId}/${messageId}`;
+  }
+  return `https://t.me/${chatPath}/${messageId}`;
+}
+
+// HTML link to a message, or the bare text where the chat has no message links
+function formatMessageLink(link, text) {
+  return link ? `<a href="${link}">${text}</a>` : text;
+}
+
+// Per-emoji counts of a messageReactions record
+function getReactionEmojiCounts(reactionData) {
+  const counts = {};
+  for (const reaction of reactionData.reactions || []) {
+    // Counts are stored as { type, total_count }, records from before per-user tracking may hold bare types
+    const type = reaction.type && typeof reaction.type === 'object' ? reaction.type : reaction;
+    const count = reaction.total_count || 1;
+    const emoji = type.type === 'emoji' ? type.emoji : type.type === 'paid' ? '⭐' : null;
+    if (emoji) {
+      counts[emoji] = (counts[emoji] || 0) + count;
     }
   }
-  return distance;
+  return counts;
+}
+
+// Media of a chat joined with its reactions, most reacted first. Without `since` covers all time,
+// with `userId` only that user's media.
+async function getReactedMedia(chatId, since, userId) {
+  return storage.media.findReacted(chatId, { since, userId });
 }
 
-// Find similar media using perceptual hash
-async function findSimilarMedia(hash, mediaType, similarityThreshold = 5) {
-  const db = client.db(dbName);
+// Most reacted memes, posters and emoji of a chat since the given date (or all time)
+async function getReactionLeaderboard(chatId, since) {
+  const reactedMedia = await getReactedMedia(chatId, since);
   
-  // For traditional crypto hashes, we need an exact match
-  if (mediaType !== 'photo' && mediaType !== 'document') {
-    return await db.collection('media').findOne({ hash });
+  const posters = {};
+  const emojiCounts = {};
+  for (const media of reactedMedia) {
+    const { totalReactions } = media.reactionData;
+    
+    if (!posters[media.userId]) {
+      posters[media.userId] = { userId: media.userId, ...pickAuthor(media), totalReactions: 0, memes: 0 };
+    }
+    posters[media.userId].totalReactions += totalReactions;
+    posters[media.userId].memes++;
+    
+    for (const [emoji, count] of Object.entries(getReactionEmojiCounts(media.reactionData))) {
+      emojiCounts[emoji] = (emojiCounts[emoji] || 0) + count;
+    }
   }
   
-  // For perceptual hashes, we allow some difference
-  const allMedia = await db.collection('media')
-    .find({ mediaType: { $in: ['photo', 'document'] } })
-    .toArray();
+  return {
+    topMedia: reactedMedia,
+    topPosters: Object.values(posters).sort((a, b) => b.totalReactions - a.totalReactions),
+    topEmoji: Object.entries(emojiCounts)
+      .map(([emoji, count]) => ({ emoji, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+// Leaderboard sections shared by the statistics digest and /top
+function formatReactionLeaderboard(chatId, leaderboard, memeCount, memeTitle = 'Most Reacted Memes') {
+  let message = '';
   
-  // Find the most similar media within threshold
-  let mostSimilar = null;
-  let lowestDistance = similarityThreshold + 1;
+  message += `<b>🏆 ${memeTitle}:</b>\n`;
+  if (leaderboard.topMedia.length > 0) {
+    leaderboard.topMedia.slice(0, memeCount).forEach((media, index) => {
+      const link = buildMessageLink(chatId, media.originalMessageId, media.topicId);
+      const prefix = memeCount > 1 ? `${index + 1}. ` : '';
+      message += `${prefix}${formatMessageLink(link, media.mediaType)} by ${formatUserMention(media)}: ${media.reactionData.totalReactions} reactions\n`;
+    });
+  } else {
+    message += 'No reactions yet\n';
+  }
   
-  for (const media of allMedia) {
-    const distance = calculateHashDistance(hash, media.hash);
-    if (distance <= similarityThreshold && distance < lowestDistance) {
-      mostSimilar = media;
-      lowestDistance = distance;
-    }
+  if (leaderboard.topPosters.length > 0) {
+    message += '\n<b>❤️ Most Reacted Posters:</b>\n';
+    leaderboard.topPosters.slice(0, 3).forEach((poster, index) => {
+      message += `${index + 1}. ${formatUserMention(poster)}: ${poster.totalReactions} reactions on ${poster.memes} posts\n`;
+    });
+  }
+  
+  if (leaderboard.topEmoji.length > 0) {
+    const emojiCounts = leaderboard.topEmoji.slice(0, 5).map(({ emoji, count }) => `${emoji} ${count}`).join(', ');
+    message += `\n<b>😍 Most Popular Emoji:</b> ${emojiCounts}\n`;
   }
   
-  return mostSimilar;
+  return message;
 }
 
-// Connect to MongoDB
-async function connectToDatabase() {
+// Reply to the most reacted meme of the past week so that the chat can see it again
+async function announceMemeOfTheWeek(chatId) {
+  const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const [topMedia] = await getReactedMedia(chatId, oneWeekAgo);
+  if (!topMedia) return;
+  
   try {
-    await client.connect();
-    console.log('Connected to MongoDB');
-    
-    // Create collections if they don't exist
-    const db = client.db(dbName);
-    await db.createCollection('media');
-    await db.createCollection('userStats');
-    await db.createCollection('duplicateTracking');
-    
-    console.log('Database collections initialized');
+    await bot.sendMessage(
+      chatId,
+      `🏆 <b>Meme of the Week</b> by ${formatUserMention(topMedia)} with ${topMedia.reactionData.totalReactions} reactions!`,
+      { parse_mode: 'HTML', reply_to_message_id: topMedia.originalMessageId }
+    );
   } catch (error) {
-    console.error('Database connection error:', error);
-    process.exit(1);
+    // The original may have been deleted
+    console.error(`Failed to announce meme of the week in chat ${chatId}:`, error.message);
   }
 }
 
-// Update user statistics
-async function updateUserStatistics(userId, username, mediaType) {
-  const db = client.db(dbName);
-  const userStats = await db.collection('userStats').findOne({ userId });
-
-  if (userStats) {
-    // Update existing user statistics
-    await db.collection('userStats').updateOne(
-      { userId },
-      { 
-        $inc: { 
-          [`${mediaType}Count`]: 1,
-          totalMessages: 1 
-        },
-        $set: { 
-          username,
-          lastActive: new Date() 
-        }
-      }
-    );
-  } else {
-    // Create new user statistics
-    await db.collection('userStats').insertOne({
-      userId,
-      username,
-      photoCount: mediaType === 'photo' ? 1 : 0,
-      videoCount: mediaType === 'video' ? 1 : 0,
-      documentCount: mediaType === 'document' ? 1 : 0,
-      textCount: mediaType === 'text' ? 1 : 0,
-      duplicatesPosted: 0,
-      totalMessages: 1,
-      firstSeen: new Date(),
-      lastActive: new Date()
-    });
-  }
+// Periods accepted by /stats, `days: null` covers all time
+const STATS_PERIODS = {
+  day: { title: 'Daily', noun: 'today', days: 1 },
+  week: { title: 'Weekly', noun: 'this week', days: 7 },
+  month: { title: 'Monthly', noun: 'this month', days: 30 },
+  year: { title: 'Yearly', noun: 'this year', days: 365 },
+  all: { title: 'All-Time', noun: 'so far', days: null }
+};
+
+// Start of a stats period, or null for all time
+function getPeriodStart(periodName) {
+  const { days } = STATS_PERIODS[periodName];
+  return days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
 }
 
-// Track duplicate posting
-async function trackDuplicate(userId, username) {
-  const db = client.db(dbName);
+// Colors of the message types in the breakdown chart
+const BREAKDOWN_COLORS = {
+  photo: '#4e79a7',
+  video: '#f28e2b',
+  animation: '#76b7b2',
+  text: '#59a14f'
+};
+
+// Messages per time bucket for the activity line: hours for a day, days for up to a month,
+// and 30 equal buckets for longer periods
+function bucketActivity(timestamps, since, now) {
+  const start = since || (timestamps.length > 0 ? new Date(timestamps.reduce((min, t) => Math.min(min, t))) : now);
+  const rangeMs = Math.max(now - start, 1);
+  const rangeDays = rangeMs / (24 * 60 * 60 * 1000);
+  const bucketCount = rangeDays <= 1 ? 24 : Math.min(30, Math.ceil(rangeDays));
+  const bucketMs = rangeMs / bucketCount;
   
-  // Update user's duplicate count
-  await db.collection('userStats').updateOne(
-    { userId },
-    { 
-      $inc: { duplicatesPosted: 1 },
-      $set: { username, lastActive: new Date() }
-    },
-    { upsert: true }
-  );
+  const buckets = [];
+  for (let i = 0; i < bucketCount; i++) {
+    const bucketStart = new Date(start.getTime() + i * bucketMs);
+    const label = rangeDays <= 1
+      ? `${bucketStart.getHours().toString().padStart(2, '0')}:00`
+      : `${bucketStart.getDate().toString().padStart(2, '0')}.${(bucketStart.getMonth() + 1).toString().padStart(2, '0')}`;
+    buckets.push({ label, value: 0 });
+  }
   
-  // Add entry to duplicate tracking
-  await db.collection('duplicates').insertOne({
-    userId,
-    username,
-    timestamp: new Date()
-  });
+  for (const timestamp of timestamps) {
+    const index = Math.min(bucketCount - 1, Math.floor((timestamp - start) / bucketMs));
+    if (index >= 0) {
+      buckets[index].value++;
+    }
+  }
+  
+  return buckets;
 }
 
-// Generate weekly statistics
-async function generateWeeklyStats() {
-  const db = client.db(dbName);
+// Collect the statistics of a chat over one of STATS_PERIODS, used by /stats, the digest and the API
+async function collectStats(chatId, periodName = 'week') {
+  // Calculate date range for the period
+  const since = getPeriodStart(periodName);
   
-  // Calculate date range for the past week
-  const now = new Date();
-  const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  // Get media posts of the period
+  const periodMedia = await storage.media.listSince(chatId, since);
   
-  let statsMessage = '📊 <b>Weekly Channel Statistics</b> 📊\n\n';
+  // Get user statistics of the period
+  const userPeriodStats = {};
   
-  // Get weekly media posts
-  const weeklyMedia = await db.collection('media').find({
-    timestamp: { $gte: oneWeekAgo }
-  }).toArray();
+  // An album counts as one message, like in the user statistics
+  const countedAlbums = new Set();
   
-  // Get weekly user statistics
-  const userWeeklyStats = {};
-  
-  for (const media of weeklyMedia) {
+  for (const media of periodMedia) {
     const userId = media.userId;
-    const username = media.username || userId;
+    if (media.mediaGroupId) {
+      if (countedAlbums.has(media.mediaGroupId)) continue;
+      countedAlbums.add(media.mediaGroupId);
+    }
     
-    if (!userWeeklyStats[userId]) {
-      userWeeklyStats[userId] = {
+    if (!userPeriodStats[userId]) {
+      userPeriodStats[userId] = {
         userId,
-        username,
+        ...pickAuthor(media),
         photoCount: 0,
         videoCount: 0,
         documentCount: 0,
+        animationCount: 0,
+        textCount: 0,
         totalMessages: 0
       };
     }
     
-    userWeeklyStats[userId][`${media.mediaType}Count`]++;
-    userWeeklyStats[userId].totalMessages++;
+    userPeriodStats[userId][`${media.mediaType}Count`]++;
+    userPeriodStats[userId].totalMessages++;
   }
   
-  // Get weekly text messages (non-media)
-  const weeklyTextMessages = await db.collection('textMessages').find({
-    timestamp: { $gte: oneWeekAgo }
-  }).toArray();
+  // Get text messages (non-media) of the period
+  const periodTextMessages = await storage.textMessages.listSince(chatId, since);
   
-  for (const textMsg of weeklyTextMessages) {
+  for (const textMsg of periodTextMessages) {
     const userId = textMsg.userId;
-    const username = textMsg.username || userId;
     
-    if (!userWeeklyStats[userId]) {
-      userWeeklyStats[userId] = {
+    if (!userPeriodStats[userId]) {
+      userPeriodStats[userId] = {
         userId,
-        username,
+        ...pickAuthor(textMsg),
         photoCount: 0,
         videoCount: 0,
         documentCount: 0,
+        animationCount: 0,
         textCount: 0,
         totalMessages: 0
       };
     }
     
-    userWeeklyStats[userId].textCount = (userWeeklyStats[userId].textCount || 0) + 1;
-    userWeeklyStats[userId].totalMessages++;
+    userPeriodStats[userId].textCount++;
+    userPeriodStats[userId].totalMessages++;
+  }
+  
+  // Sort users by total messages for top contributors
+  const contributors = Object.values(userPeriodStats)
+    .sort((a, b) => b.totalMessages - a.totalMessages);
+  
+  // Media breakdown
+  const totals = {
+    photos: contributors.reduce((sum, user) => sum + user.photoCount, 0),
+    videos: contributors.reduce((sum, user) => sum + user.videoCount, 0),
+    animations: contributors.reduce((sum, user) => sum + user.animationCount, 0),
+    documents: contributors.reduce((sum, user) => sum + user.documentCount, 0),
+    texts: contributors.reduce((sum, user) => sum + user.textCount, 0)
+  };
+  
+  // Duplicate offenders of the period
+  const periodDuplicates = await storage.duplicates.listSince(chatId, since);
+  
+  const duplicateStats = {};
+  for (const duplicate of periodDuplicates) {
+    const userId = duplicate.userId;
+    
+    if (!duplicateStats[userId]) {
+      duplicateStats[userId] = {
+        userId,
+        ...pickAuthor(duplicate),
+        count: 0
+      };
+    }
+    duplicateStats[userId].count++;
+  }
+  
+  const duplicateOffenders = Object.values(duplicateStats)
+    .filter(user => user.count > 0)
+    .sort((a, b) => b.count - a.count);
+  
+  // Reactions on the period's media and activity over time
+  const leaderboard = await getReactionLeaderboard(chatId, since);
+  const timestamps = [...periodMedia, ...periodTextMessages].map(message => new Date(message.timestamp).getTime());
+  const activity = bucketActivity(timestamps, since, new Date());
+  
+  // Joins and leaves, only known where the bot is an admin
+  const membership = await storage.members.countEventsSince(chatId, since);
+  
+  // Messages per forum topic, most active first. Empty outside forums.
+  const topicStats = {};
+  for (const message of [...periodMedia, ...periodTextMessages]) {
+    if (message.topicId === undefined || message.topicId === null) continue;
+    if (!topicStats[message.topicId]) {
+      topicStats[message.topicId] = { topicId: message.topicId, mediaCount: 0, textCount: 0, totalMessages: 0 };
+    }
+    topicStats[message.topicId][message.mediaType ? 'mediaCount' : 'textCount']++;
+    topicStats[message.topicId].totalMessages++;
+  }
+  const topicNameMap = new Map((await storage.topics.list(chatId)).map(topic => [topic.topicId, topic.name]));
+  const topics = Object.values(topicStats)
+    .map(topic => ({ ...topic, name: getTopicName(topic.topicId, topicNameMap) }))
+    .sort((a, b) => b.totalMessages - a.totalMessages);
+  
+  return {
+    chatId,
+    period: periodName,
+    since,
+    contributors,
+    totals,
+    duplicateOffenders,
+    leaderboard,
+    activity,
+    membership,
+    topics
+  };
+}
+
+// Generate statistics for a chat over one of STATS_PERIODS.
+// Returns the HTML summary and a chart image, which is null if rendering failed.
+async function generateStats(chatId, periodName = 'week') {
+  const period = STATS_PERIODS[periodName];
+  const { contributors, totals, duplicateOffenders, leaderboard, activity, membership, topics } = await collectStats(chatId, periodName);
+  
+  let statsMessage = `📊 <b>${period.title} Channel Statistics</b> 📊\n\n`;
+  
+  // Top contributors
+  statsMessage += '<b>Top Contributors:</b>\n';
+  for (let i = 0; i < Math.min(5, contributors.length); i++) {
+    const user = contributors[i];
+    statsMessage += `${i+1}. ${formatUserMention(user)}: ${user.totalMessages} messages\n`;
+  }
+  
+  statsMessage += '\n<b>Media Breakdown:</b>\n';
+  statsMessage += `📷 Photos: ${totals.photos}\n`;
+  statsMessage += `🎬 Videos: ${totals.videos}\n`;
+  statsMessage += `🎞 GIFs: ${totals.animations}\n`;
+  statsMessage += `💬 Text Messages: ${totals.texts}\n`;
+  
+  statsMessage += '\n<b>Duplicate Offenders:</b>\n';
+  if (duplicateOffenders.length > 0) {
+    for (let i = 0; i < Math.min(3, duplicateOffenders.length); i++) {
+      const user = duplicateOffenders[i];
+      statsMessage += `${i+1}. ${formatUserMention(user)}: ${user.count} duplicates\n`;
+    }
+  } else {
+    statsMessage += `No duplicates posted ${period.noun}! 🎉\n`;
+  }
+  
+  // Only forums with more than one active topic get the breakdown
+  if (topics.length > 1) {
+    statsMessage += '\n<b>Topics:</b>\n';
+    for (let i = 0; i < Math.min(5, topics.length); i++) {
+      const topic = topics[i];
+      statsMessage += `${i+1}. ${escapeHtml(topic.name)}: ${topic.totalMessages} messages (${topic.mediaCount} media)\n`;
+    }
+  }
+  
+  if (membership.joins > 0 || membership.leaves > 0) {
+    statsMessage += '\n<b>Members:</b>\n';
+    statsMessage += `➕ Joined: ${membership.joins}\n`;
+    statsMessage += `➖ Left: ${membership.leaves}\n`;
+  }
+  
+  const memeTitle = periodName === 'all' ? 'Meme of All Time' : `Meme of the ${periodName[0].toUpperCase()}${periodName.slice(1)}`;
+  statsMessage += `\n${formatReactionLeaderboard(chatId, leaderboard, 1, memeTitle)}`;
+  
+  // Chart of the same numbers, the text alone is still usable if rendering fails
+  let image = null;
+  try {
+    image = await renderStatsChart({
+      title: `${period.title} Channel Statistics`,
+      contributors: contributors.slice(0, 5).map(user => ({
+        label: formatUserName(user),
+        value: user.totalMessages
+      })),
+      breakdown: [
+        { label: 'Photos', value: totals.photos, color: BREAKDOWN_COLORS.photo },
+        { label: 'Videos', value: totals.videos, color: BREAKDOWN_COLORS.video },
+        { label: 'GIFs', value: totals.animations, color: BREAKDOWN_COLORS.animation },
+        { label: 'Text Messages', value: totals.texts, color: BREAKDOWN_COLORS.text }
+      ],
+      activity
+    });
+  } catch (error) {
+    console.error('Error rendering statistics chart:', error);
+  }
+  
+  return { text: statsMessage, image };
+}
+
+// Telegram's limit for photo captions
+const CAPTION_MAX_LENGTH = 1024;
+
+// Send statistics from generateStats as a chart with the summary as caption, falling back to text.
+// `options` are added to what is sent, like the topic to send it to.
+async function sendStats(chatId, stats, options = {}) {
+  if (stats.image) {
+    try {
+      const fitsCaption = stats.text.length <= CAPTION_MAX_LENGTH;
+      await bot.sendPhoto(
+        chatId,
+        stats.image,
+        fitsCaption ? { ...options, caption: stats.text, parse_mode: 'HTML' } : options,
+        { filename: 'stats.png', contentType: 'image/png' }
+      );
+      if (fitsCaption) {
+        return;
+      }
+    } catch (error) {
+      console.error(`Failed to send statistics chart to chat ${chatId}:`, error.message);
+    }
+  }
+  
+  await bot.sendMessage(chatId, stats.text, { ...options, parse_mode: 'HTML', disable_web_page_preview: true });
+}
+
+// Bar chart of activity per hour of the day, one block character per hour
+function formatHourlyActivity(hourCounts) {
+  const blocks = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+  const max = Math.max(...hourCounts);
+  if (max === 0) return null;
+  
+  const bars = hourCounts
+    .map(count => (count === 0 ? ' ' : blocks[Math.min(blocks.length - 1, Math.floor(count / max * blocks.length))]))
+    .join('');
+  const busiestHour = hourCounts.indexOf(max);
+  return `<code>${bars}</code>\n<code>0     6     12    18   23</code>\nBusiest hour: ${busiestHour.toString().padStart(2, '0')}:00`;
+}
+
+// Messages a user posted in a chat per hour of the day, in the server's time zone like the stats schedule
+async function getHourlyActivity(chatId, userId) {
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const mediaHours = await storage.media.countByHour(chatId, userId, timezone);
+  const textHours = await storage.textMessages.countByHour(chatId, userId, timezone);
+  return mediaHours.map((count, hour) => count + textHours[hour]);
+}
+
+// Collect the profile of a user in a chat, used by /me, /stats @user and the API
+async function collectUserProfile(chatId, userId) {
+  const userStats = await storage.userStats.get(chatId, userId);
+  if (!userStats) {
+    return null;
+  }
+  
+  const mediaPosts = (userStats.photoCount || 0) + (userStats.videoCount || 0) +
+    (userStats.documentCount || 0) + (userStats.animationCount || 0);
+  const duplicatesPosted = userStats.duplicatesPosted || 0;
+  const duplicateRate = mediaPosts + duplicatesPosted > 0
+    ? Math.round(duplicatesPosted / (mediaPosts + duplicatesPosted) * 100)
+    : 0;
+  
+  // Rank among the chat's users by messages posted
+  const totalMessages = userStats.totalMessages || 0;
+  const { rank, userCount } = await storage.userStats.getRank(chatId, totalMessages);
+  
+  const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const weeklyMessages = await storage.media.countByUserSince(chatId, userId, oneWeekAgo) +
+    await storage.textMessages.countByUserSince(chatId, userId, oneWeekAgo);
+  
+  return {
+    chatId,
+    userId,
+    ...pickAuthor(userStats),
+    firstSeen: userStats.firstSeen,
+    lastActive: userStats.lastActive,
+    rank,
+    userCount,
+    totalMessages,
+    weeklyMessages,
+    counts: {
+      photos: userStats.photoCount || 0,
+      videos: userStats.videoCount || 0,
+      animations: userStats.animationCount || 0,
+      documents: userStats.documentCount || 0,
+      texts: userStats.textCount || 0
+    },
+    duplicatesPosted,
+    duplicateRate,
+    reactionsReceived: userStats.reactionsReceived || 0,
+    reactionsGiven: userStats.reactionsGiven || 0,
+    topPosts: (await getReactedMedia(chatId, null, userId)).slice(0, 3),
+    hourlyActivity: await getHourlyActivity(chatId, userId)
+  };
+}
+
+// Generate the profile of a user in a chat, shown by /me and /stats @user
+async function generateUserProfile(chatId, userId) {
+  const profile = await collectUserProfile(chatId, userId);
+  if (!profile) {
+    return null;
+  }
+  
+  let profileMessage = `👤 <b>Profile of ${formatUserMention(profile)}</b>\n\n`;
+  
+  profileMessage += `🏅 Rank: #${profile.rank} of ${profile.userCount} with ${profile.totalMessages} messages (${profile.weeklyMessages} this week)\n`;
+  if (profile.firstSeen) {
+    profileMessage += `📅 First seen: ${new Date(profile.firstSeen).toLocaleDateString('ru-RU')}\n`;
+  }
+  
+  profileMessage += '\n<b>Posts:</b>\n';
+  profileMessage += `📷 Photos: ${profile.counts.photos}\n`;
+  profileMessage += `🎬 Videos: ${profile.counts.videos}\n`;
+  profileMessage += `🎞 GIFs: ${profile.counts.animations}\n`;
+  profileMessage += `🖼 Image files: ${profile.counts.documents}\n`;
+  profileMessage += `💬 Text Messages: ${profile.counts.texts}\n`;
+  
+  profileMessage += '\n<b>Duplicates:</b>\n';
+  profileMessage += `♻️ ${profile.duplicatesPosted} duplicates, ${profile.duplicateRate}% of media posts\n`;
+  
+  profileMessage += '\n<b>Reactions:</b>\n';
+  profileMessage += `❤️ Received: ${profile.reactionsReceived}\n`;
+  profileMessage += `👍 Given: ${profile.reactionsGiven}\n`;
+  
+  if (profile.topPosts.length > 0) {
+    profileMessage += '\n<b>Most Reacted Posts:</b>\n';
+    profile.topPosts.forEach((media, index) => {
+      const link = buildMessageLink(profile.chatId, media.originalMessageId, media.topicId);
+      const date = new Date(media.timestamp).toLocaleDateString('ru-RU');
+      profileMessage += `${index + 1}. ${formatMessageLink(link, media.mediaType)} from ${date}: ${media.reactionData.totalReactions} reactions\n`;
+    });
+  }
+  
+  const hourlyActivity = formatHourlyActivity(profile.hourlyActivity);
+  if (hourlyActivity) {
+    profileMessage += `\n<b>Activity by Hour:</b>\n${hourlyActivity}\n`;
+  }
+  
+  return profileMessage;
+}
+
+// Find a user of a chat from a replied message, an @username or a numeric id
+async function resolveChatUser(chatId, msg, args) {
+  if (msg.reply_to_message && msg.reply_to_message.from) {
+    const from = msg.reply_to_message.from;
+    return { userId: from.id, ...getAuthor(from) };
+  }
+  
+  if (/^\d+$/.test(args)) {
+    const stats = await storage.userStats.get(chatId, parseInt(args, 10));
+    return { userId: parseInt(args, 10), ...(stats ? pickAuthor(stats) : {}) };
+  }
+  
+  if (args) {
+    const stats = await storage.userStats.findByUsername(chatId, args.replace(/^@/, ''));
+    if (stats) {
+      return { userId: stats.userId, ...pickAuthor(stats) };
+    }
+  }
+  
+  return null;
+}
+
+// File id and media type of the media in a message, both undefined for unsupported media
+function getMessageMedia(msg) {
+  if (msg.photo) {
+    return { mediaFileId: msg.photo[msg.photo.length - 1].file_id, mediaType: 'photo' }; // Highest resolution
+  }
+  // Animations also carry a document field, so they are checked first
+  if (msg.animation) {
+    return { mediaFileId: msg.animation.file_id, mediaType: 'animation' };
+  }
+  if (msg.document && msg.document.mime_type === 'image/gif') {
+    return { mediaFileId: msg.document.file_id, mediaType: 'animation' };
+  }
+  if (msg.video) {
+    return { mediaFileId: msg.video.file_id, mediaType: 'video' };
+  }
+  if (msg.document && (msg.document.mime_type || '').startsWith('image/')) {
+    return { mediaFileId: msg.document.file_id, mediaType: 'document' };
+  }
+  return {};
+}
+
+// Download a file sent to the bot
+function downloadTelegramFile(fileId) {
+  return limitDownloads(async () => {
+    const fileInfo = await bot.getFile(fileId);
+    if (replay) {
+      return replay.downloadFile(fileInfo.file_path);
+    }
+    const fileUrl = `https://api.telegram.org/file/bot${token}/${fileInfo.file_path}`;
+    const response = await fetch(fileUrl);
+    return Buffer.from(await response.arrayBuffer());
+  });
+}
+
+// Format a date as dd.mm.yyyy
+function formatPostDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getDate().toString().padStart(2, '0')}.${(date.getMonth() + 1).toString().padStart(2, '0')}.${date.getFullYear()}`;
+}
+
+// Groups the bot tracks that a user is still a member of, with their titles
+async function getUserGroups(userId) {
+  const chatIds = await storage.userStats.getChatIds(userId);
+  
+  const groups = [];
+  for (const chatId of chatIds) {
+    try {
+      const member = await bot.getChatMember(chatId, userId);
+      if (['left', 'kicked'].includes(member.status)) continue;
+      const chat = await bot.getChat(chatId);
+      rememberChat(chat);
+      groups.push({ chatId, title: chat.title || String(chatId) });
+    } catch (error) {
+      // The bot may have been removed from the group
+      console.error(`Skipping chat ${chatId} in reverse lookup:`, error.message);
+    }
+  }
+  return groups;
+}
+
+// Check media sent in a private chat against the sender's groups, so it can be checked
+// before posting. Nothing is stored and no statistics are counted.
+async function handleReverseLookup(msg) {
+  const { mediaFileId, mediaType } = getMessageMedia(msg);
+  const groups = await getUserGroups(msg.from.id);
+  
+  if (groups.length === 0) {
+    await bot.sendMessage(msg.chat.id, 'I don\'t know any of your groups yet. Post something in a group with me first.', {
+      reply_to_message_id: msg.message_id
+    });
+    return;
+  }
+  
+  const fingerprint = await hashMedia(await downloadTelegramFile(mediaFileId), mediaType);
+  
+  const matches = [];
+  for (const group of groups) {
+    const settings = await getChatSettings(storage, group.chatId);
+    const match = await findSimilarMedia(storage, fingerprint, mediaType, group.chatId, settings.similarityThreshold);
+    if (match) {
+      matches.push({ ...group, match });
+    }
+  }
+  
+  let replyText;
+  if (matches.length === 0) {
+    replyText = `✅ <b>No duplicates found</b>\n\nThis ${mediaType} was not posted in ${groups.map(group => escapeHtml(group.title)).join(', ')}.`;
+  } else {
+    replyText = `⚠️ <b>Already posted</b>\n`;
+    for (const { chatId, title, match } of matches) {
+      const transformNote = match.matchedTransform ? `, matched as: ${escapeHtml(match.matchedTransform)}` : '';
+      replyText += `\n<b>${escapeHtml(title)}</b>: by ${formatUserMention(match)} on ${formatPostDate(match.timestamp)}, ` +
+        `distance ${match.distance}${transformNote}\n📎 ${formatMessageLink(buildMessageLink(chatId, match.originalMessageId, match.topicId), 'View original message')}\n`;
+    }
+  }
+  
+  await bot.sendMessage(msg.chat.id, replyText, {
+    parse_mode: 'HTML',
+    reply_to_message_id: msg.message_id,
+    disable_web_page_preview: true
+  });
+}
+
+// Check if the chat is a group or supergroup
+async function isGroup(chatId) {
+  try {
+    const chat = await bot.getChat(chatId);
+    return chat.type === 'group' || chat.type === 'supergroup';
+  } catch (error) {
+    console.error('Error checking chat type:', error);
+    return false;
+  }
+}
+
+// Check if the user is an admin in the group
+async function isAdmin(chatId, userId) {
+  try {
+    const chatMember = await bot.getChatMember(chatId, userId);
+    return ['creator', 'administrator'].includes(chatMember.status);
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+}
+
+// Settings overview sent by /settings and refreshed after every change
+function formatSettingsMessage(settings) {
+  let settingsMessage = '<b>⚙️ Chat Settings</b>\n\n';
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    settingsMessage += `${escapeHtml(definition.label)}: <b>${escapeHtml(formatSettingValue(key, settings[key]))}</b>\n`;
+  }
+  settingsMessage += '\nUse the buttons below or <code>/settings &lt;name&gt; &lt;value&gt;</code>.\n';
+  settingsMessage += `Names: ${Object.keys(SETTINGS_SCHEMA).map(key => `<code>${key}</code>`).join(', ')}`;
+  return settingsMessage;
+}
+
+// Reply to a single reposted media message
+async function replyToDuplicate(msg, { mediaType, existingMedia }, moderationNote, reportId) {
+  const chatId = msg.chat.id;
+  const posterMention = formatUserMention(existingMedia);
+  const postDate = formatPostDate(existingMedia.timestamp);
+  
+  // Link to the original message, basic groups have none
+  const originalMessageLink = buildMessageLink(chatId, existingMedia.originalMessageId, existingMedia.topicId);
+  const linkLine = originalMessageLink ? `\n\n📎 <a href="${originalMessageLink}">View original message</a>` : '';
+  
+  // Mention how the repost was edited when it only matched after a transformation
+  const transformNote = existingMedia.matchedTransform
+    ? `\n🔄 Matched as: ${escapeHtml(existingMedia.matchedTransform)}`
+    : '';
+  
+  const replyText = `⚠️ <b>Duplicate Content Detected</b> ⚠️\n\nThis ${mediaType} has already been posted by ${posterMention} on ${postDate}.${transformNote}${linkLine}${moderationNote}`;
+  return sendDuplicateReply(msg, replyText, reportId);
+}
+
+// Reply once to an album with reposted items, listing each of them with its original
+async function replyToAlbumDuplicates(msg, itemCount, duplicates, moderationNote, reportId) {
+  const chatId = msg.chat.id;
+  let replyText = `⚠️ <b>Duplicate Content Detected</b> ⚠️\n\n${duplicates.length} of ${itemCount} items of this album have already been posted:\n`;
+  
+  for (const { index, mediaType, existingMedia } of duplicates) {
+    const transformNote = existingMedia.matchedTransform ? `, matched as: ${escapeHtml(existingMedia.matchedTransform)}` : '';
+    replyText += `\n${index + 1}. ${mediaType} by ${formatUserMention(existingMedia)} on ${formatPostDate(existingMedia.timestamp)}${transformNote}` +
+      ` (${formatMessageLink(buildMessageLink(chatId, existingMedia.originalMessageId, existingMedia.topicId), 'original')})`;
+  }
+  
+  return sendDuplicateReply(msg, `${replyText}${moderationNote}`, reportId);
+}
+
+// Send a duplicate warning with the feedback buttons, returns the sent message and its text
+async function sendDuplicateReply(msg, replyText, reportId) {
+  // The repost may have been deleted by the policy, so the reply must not depend on it
+  const reply = await bot.sendMessage(
+    msg.chat.id, 
+    replyText,
+    {
+      ...inTopic(msg),
+      parse_mode: 'HTML',
+      reply_to_message_id: msg.message_id,
+      allow_sending_without_reply: true,
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '🙅 Not a duplicate', callback_data: `dup:fp:${reportId}` },
+          { text: '✅ Confirmed', callback_data: `dup:ok:${reportId}` }
+        ]]
+      }
+    }
+  );
+  return { reply, replyText };
+}
+
+// Check the media of a message, or of every item of an album, and reply once about the reposts.
+// An album counts once in the statistics and once as a duplicate, however many items it has.
+async function handleMediaMessages(messages, author, settings) {
+  const chatId = messages[0].chat.id;
+  const userId = messages[0].from.id;
+  const topicId = getTopicId(messages[0]);
+  const duplicates = [];
+  let storedMediaType = null;
+  
+  for (const [index, msg] of messages.entries()) {
+    const { mediaFileId, mediaType } = getMessageMedia(msg);
+    let fingerprint;
+    let existingMedia;
+    try {
+      // Generate perceptual fingerprint for the media
+      fingerprint = await hashMedia(await downloadTelegramFile(mediaFileId), mediaType);
+      
+      // Check for similar media in the database using perceptual hash
+      existingMedia = await findSimilarMedia(storage, fingerprint, mediaType, chatId, settings.similarityThreshold);
+    } catch (error) {
+      // One broken item should not hide the rest of an album
+      if (messages.length === 1) throw error;
+      console.error(`Error checking item ${index + 1} of album ${msg.media_group_id}:`, error);
+      continue;
+    }
+    
+    if (existingMedia) {
+      duplicates.push({ index, msg, mediaType, fingerprint, existingMedia });
+      continue;
+    }
+    
+    // Store the new media hash and metadata, a message delivered twice is only counted once
+    const stored = await storeMedia(storage, {
+      chatId,
+      userId,
+      author,
+      mediaType,
+      fingerprint,
+      messageId: msg.message_id,
+      topicId,
+      mediaGroupId: msg.media_group_id || null
+    });
+    if (stored && !storedMediaType) {
+      storedMediaType = mediaType;
+    }
+  }
+  
+  // Update user statistics
+  if (storedMediaType) {
+    await updateUserStatistics(chatId, userId, author, storedMediaType);
+  }
+  
+  if (duplicates.length > 0) {
+    const firstDuplicate = duplicates[0];
+    
+    // Track this duplicate
+    const duplicateId = await trackDuplicate(chatId, userId, author);
+    
+    // Escalate against repeat posters, the reply below is the warning
+    let moderationNote = '';
+    if (settings.moderationEnabled) {
+      const notes = await applyDuplicatePolicy(bot, storage, firstDuplicate.msg, author, settings,
+        duplicates.map(duplicate => duplicate.msg.message_id));
+      moderationNote = `\n\n${notes.map(escapeHtml).join('\n')}`;
+    }
+    
+    // Keep everything needed to undo the duplicate if it is reported as a false positive
+    const reportId = new ObjectId();
+    const { reply, replyText } = messages.length === 1
+      ? await replyToDuplicate(firstDuplicate.msg, firstDuplicate, moderationNote, reportId)
+      : await replyToAlbumDuplicates(firstDuplicate.msg, messages.length, duplicates, moderationNote, reportId);
+    
+    const report = {
+      _id: reportId,
+      chatId,
+      replyMessageId: reply.message_id,
+      replyText,
+      messageId: firstDuplicate.msg.message_id,
+      topicId,
+      userId,
+      ...author,
+      mediaType: firstDuplicate.mediaType,
+      fingerprint: firstDuplicate.fingerprint,
+      originalMediaId: firstDuplicate.existingMedia._id,
+      originalHash: firstDuplicate.existingMedia.hash,
+      duplicateId,
+      status: 'pending',
+      timestamp: new Date()
+    };
+    
+    // Albums keep every reposted item, the fields above describe the first one.
+    // An album with new items was already counted in the statistics.
+    if (messages.length > 1) {
+      report.mediaGroupId = messages[0].media_group_id;
+      report.counted = Boolean(storedMediaType);
+      report.albumItems = duplicates.map(({ msg, mediaType, fingerprint, existingMedia }) => ({
+        messageId: msg.message_id,
+        mediaType,
+        fingerprint,
+        originalMediaId: existingMedia._id,
+        originalHash: existingMedia.hash
+      }));
+    }
+    
+    await storage.duplicateReports.insert(report);
+  } else {
+    // Reposted media is reported once, the caption is only checked on new media
+    const captioned = messages.find(msg => msg.caption);
+    if (captioned && !(await handleLinkMessage(captioned, author, settings)) && settings.copypastaEnabled) {
+      await handleCopypasta(captioned, author, settings);
+    }
+  }
+  
+  // Reset consecutive text message counter when media is posted
+  consecutiveTextMessages[chatId] = 0;
+}
+
+// How link duplicates are named in replies, by the kind from getMessageLinkKeys
+const LINK_KIND_NAMES = { link: 'link', forward: 'forwarded post' };
+
+// Check the links and the forward origin of a text message or caption against the chat's history
+// and reply like to reposted media. Keys seen for the first time are stored for later messages.
+// Returns whether the message was a duplicate.
+async function handleLinkMessage(msg, author, settings) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const topicId = getTopicId(msg);
+  const keys = getMessageLinkKeys(msg);
+  if (keys.length === 0) {
+    return false;
   }
   
-  const weeklyStatsArray = Object.values(userWeeklyStats);
+  const existingLink = await findPostedLink(storage, chatId, keys, msg.message_id);
+  const newKeys = existingLink ? keys.filter(({ key }) => key !== existingLink.key) : keys;
+  await storeLinks(storage, { chatId, userId, author, keys: newKeys, messageId: msg.message_id, topicId });
+  if (!existingLink) {
+    return false;
+  }
   
-  // Sort users by total messages for top contributors
-  weeklyStatsArray.sort((a, b) => b.totalMessages - a.totalMessages);
+  const duplicateId = await trackDuplicate(chatId, userId, author);
   
-  // Top contributors
-  statsMessage += '<b>Top Contributors:</b>\n';
-  for (let i = 0; i < Math.min(5, weeklyStatsArray.length); i++) {
-    const user = weeklyStatsArray[i];
-    const displayName = user.username && !user.username.includes(' ') ? `@${user.username}` : (user.username || user.userId);
-    statsMessage += `${i+1}. ${escapeHtml(displayName)}: ${user.totalMessages} messages\n`;
+  let moderationNote = '';
+  if (settings.moderationEnabled) {
+    const notes = await applyDuplicatePolicy(bot, storage, msg, author, settings);
+    moderationNote = `\n\n${notes.map(escapeHtml).join('\n')}`;
   }
   
-  // Media breakdown
-  const totalPhotos = weeklyStatsArray.reduce((sum, user) => sum + (user.photoCount || 0), 0);
-  const totalVideos = weeklyStatsArray.reduce((sum, user) => sum + (user.videoCount || 0), 0);
-  const totalTexts = weeklyStatsArray.reduce((sum, user) => sum + (user.textCount || 0), 0);
+  // Link reports are undone by allowlisting the two posts of the key, there is no media to store
+  const reportId = new ObjectId();
+  const mediaType = LINK_KIND_NAMES[existingLink.kind];
+  const { reply, replyText } = await replyToDuplicate(msg, { mediaType, existingMedia: existingLink }, moderationNote, reportId);
+  await storage.duplicateReports.insert({
+    _id: reportId,
+    chatId,
+    replyMessageId: reply.message_id,
+    replyText,
+    messageId: msg.message_id,
+    topicId,
+    userId,
+    ...author,
+    mediaType,
+    linkKey: existingLink.key,
+    originalLinkId: existingLink._id,
+    originalMessageId: existingLink.originalMessageId,
+    linkKind: existingLink.kind,
+    duplicateId,
+    status: 'pending',
+    timestamp: new Date()
+  });
+  return true;
+}
+
+// Check a long text message or media caption for near copies in the chat's history and reply like
+// to reposted media. Texts shorter than the chat's minimum are never fingerprinted.
+async function handleCopypasta(msg, author, settings) {
+  const fingerprint = fingerprintText(msg.text || msg.caption, settings.copypastaMinLength);
+  if (!fingerprint) {
+    return;
+  }
   
-  statsMessage += '\n<b>Media Breakdown:</b>\n';
-  statsMessage += `📷 Photos: ${totalPhotos}\n`;
-  statsMessage += `🎬 Videos: ${totalVideos}\n`;
-  statsMessage += `💬 Text Messages: ${totalTexts}\n`;
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const topicId = getTopicId(msg);
+  const existingText = await findSimilarText(storage, fingerprint, chatId);
+  if (!existingText) {
+    await storeText(storage, { chatId, userId, author, fingerprint, messageId: msg.message_id, topicId });
+    return;
+  }
   
-  // Weekly duplicate offenders
-  const weeklyDuplicates = await db.collection('duplicates').find({
-    timestamp: { $gte: oneWeekAgo }
-  }).toArray();
+  const duplicateId = await trackDuplicate(chatId, userId, author);
   
-  const duplicateStats = {};
-  for (const duplicate of weeklyDuplicates) {
-    const userId = duplicate.userId;
-    const username = duplicate.username || userId;
-    
-    if (!duplicateStats[userId]) {
-      duplicateStats[userId] = {
-        userId,
-        username,
-        count: 0
-      };
-    }
-    duplicateStats[userId].count++;
+  let moderationNote = '';
+  if (settings.moderationEnabled) {
+    const notes = await applyDuplicatePolicy(bot, storage, msg, author, settings);
+    moderationNote = `\n\n${notes.map(escapeHtml).join('\n')}`;
   }
   
-  const duplicateOffenders = Object.values(duplicateStats)
-    .filter(user => user.count > 0)
-    .sort((a, b) => b.count - a.count);
+  const reportId = new ObjectId();
+  const mediaType = msg.caption ? 'caption' : 'text';
+  const existingMedia = { ...existingText, matchedTransform: existingText.distance > 0 ? 'edited copy' : null };
+  const { reply, replyText } = await replyToDuplicate(msg, { mediaType, existingMedia }, moderationNote, reportId);
+  await storage.duplicateReports.insert({
+    _id: reportId,
+    chatId,
+    replyMessageId: reply.message_id,
+    replyText,
+    messageId: msg.message_id,
+    topicId,
+    userId,
+    ...author,
+    mediaType,
+    fingerprint,
+    originalTextId: existingText._id,
+    originalHash: existingText.hash,
+    duplicateId,
+    status: 'pending',
+    timestamp: new Date()
+  });
+}
+
+// Add an album item to the chat's pending album, which is checked ALBUM_WAIT_MS after its last item
+function collectAlbumItem(msg, author, settings) {
+  const chatId = msg.chat.id;
+  let album = pendingAlbums.get(chatId);
   
-  statsMessage += '\n<b>Duplicate Offenders:</b>\n';
-  if (duplicateOffenders.length > 0) {
-    for (let i = 0; i < Math.min(3, duplicateOffenders.length); i++) {
-      const user = duplicateOffenders[i];
-      const displayName = user.username && !user.username.includes(' ') ? `@${user.username}` : (user.username || user.userId);
-      statsMessage += `${i+1}. ${escapeHtml(displayName)}: ${user.count} duplicates\n`;
-    }
+  if (album) {
+    clearTimeout(album.timer);
   } else {
-    statsMessage += 'No duplicates posted this week! 🎉\n';
+    album = { mediaGroupId: msg.media_group_id, messages: [], author, settings };
+    album.done = new Promise(resolve => { album.resolve = resolve; });
+    pendingAlbums.set(chatId, album);
+    
+    // Replays must not end before the album was checked
+    if (replay) {
+      replay.track(album.done);
+    }
   }
   
-  return statsMessage;
+  album.messages.push(msg);
+  album.timer = setTimeout(() => {
+    inChatOrder(chatId, () => flushAlbum(chatId, album.mediaGroupId));
+  }, ALBUM_WAIT_MS);
 }
 
-
-// Check if the chat is a group or supergroup
-async function isGroup(chatId) {
+// Check the chat's pending album, if `mediaGroupId` is given only when it is still that album
+async function flushAlbum(chatId, mediaGroupId) {
+  const album = pendingAlbums.get(chatId);
+  if (!album || (mediaGroupId && album.mediaGroupId !== mediaGroupId)) {
+    return;
+  }
+  
+  clearTimeout(album.timer);
+  pendingAlbums.delete(chatId);
+  
   try {
-    const chat = await bot.getChat(chatId);
-    return chat.type === 'group' || chat.type === 'supergroup';
+    // Telegram may deliver the items out of order
+    const messages = album.messages.sort((a, b) => a.message_id - b.message_id);
+    await handleMediaMessages(messages, album.author, album.settings);
   } catch (error) {
-    console.error('Error checking chat type:', error);
-    return false;
+    console.error(`Error processing album ${album.mediaGroupId}:`, error);
+  } finally {
+    album.resolve();
   }
 }
 
-// Check if the user is an admin in the group
-async function isAdmin(chatId, userId) {
-  try {
-    const chatMember = await bot.getChatMember(chatId, userId);
-    return ['creator', 'administrator'].includes(chatMember.status);
-  } catch (error) {
-    console.error('Error checking admin status:', error);
-    return false;
+// Names of forum topics already stored, by "chatId:topicId"
+const topicNames = new Map();
+
+// Keep the name of a message's topic for the statistics. Topic messages reply to the
+// service message that created the topic, which has the name.
+async function rememberTopicName(msg, topicId) {
+  const created = msg.forum_topic_created || (msg.reply_to_message && msg.reply_to_message.forum_topic_created);
+  const name = (msg.forum_topic_edited && msg.forum_topic_edited.name) || (created && created.name);
+  const key = `${msg.chat.id}:${topicId}`;
+  if (!name || topicNames.get(key) === name) {
+    return;
   }
+  
+  topicNames.set(key, name);
+  await storage.topics.setName(msg.chat.id, topicId, name);
 }
 
-// Start listening for messages
-bot.on('message', async (msg) => {
+// Handle a message, in the order of its chat
+async function handleMessage(msg) {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
-    const username = msg.from.username || `${msg.from.first_name} ${msg.from.last_name || ''}`.trim();
-    const db = client.db(dbName);
+    const author = getAuthor(msg.from);
+    rememberChat(msg.chat);
     
     // Only process messages from groups
     const isValidGroup = await isGroup(chatId);
@@ -466,6 +1396,10 @@ bot.on('message', async (msg) => {
       // If it's a private chat, still allow commands but not media processing
       if (msg.text && msg.text.startsWith('/')) {
         // Process commands in private chats
+      } else if (msg.chat.type === 'private' && getMessageMedia(msg).mediaFileId) {
+        // Media sent in private is only looked up in the sender's groups, never stored
+        await handleReverseLookup(msg);
+        return;
       } else {
         return; // Not a command in a private chat, ignore
       }
@@ -476,14 +1410,66 @@ bot.on('message', async (msg) => {
       console.log(`Processing message in chat ${chatId}, configured group is ${groupId}`);
     }
     
+    // Forum topic of the message, null outside forums
+    const topicId = getTopicId(msg);
+    if (topicId !== null) {
+      await rememberTopicName(msg, topicId);
+    }
+    
     // Check for commands
     if (msg.text && msg.text.startsWith('/')) {
       const command = msg.text.split(' ')[0].substring(1);
       
       // Handle stats command - allow anyone to use it
+      // "/stats [day|week|month|year|all]" for the chat, "/stats @user" for a user's profile
       if (command === 'stats') {
-        const statsMessage = await generateWeeklyStats();
-        await bot.sendMessage(chatId, statsMessage, { parse_mode: 'HTML' });
+        const args = msg.text.slice(msg.text.indexOf(command) + command.length).trim();
+        const periodName = (args || 'week').toLowerCase();
+        
+        if (STATS_PERIODS[periodName]) {
+          await sendStats(chatId, await generateStats(chatId, periodName), inTopic(msg));
+          return;
+        }
+        
+        const target = await resolveChatUser(chatId, msg, args);
+        const profileMessage = target ? await generateUserProfile(chatId, target.userId) : null;
+        if (!profileMessage) {
+          await bot.sendMessage(chatId, 'Usage: /stats [day|week|month|year|all] or /stats @user', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        await bot.sendMessage(chatId, profileMessage, inTopic(msg, { parse_mode: 'HTML', disable_web_page_preview: true }));
+        return;
+      }
+      
+      // Handle the personal profile command - allow anyone to use it
+      if (command === 'me') {
+        const profileMessage = await generateUserProfile(chatId, userId);
+        await bot.sendMessage(
+          chatId,
+          profileMessage || 'No statistics for you yet, post something first!',
+          inTopic(msg, { parse_mode: 'HTML', reply_to_message_id: msg.message_id, disable_web_page_preview: true })
+        );
+        return;
+      }
+      
+      // Reaction leaderboard for a period - allow anyone to use it
+      if (command === 'top') {
+        const periods = {
+          week: { label: 'This Week', days: 7 },
+          month: { label: 'This Month', days: 30 },
+          all: { label: 'All Time', days: null }
+        };
+        const periodName = (msg.text.split(/\s+/)[1] || 'week').toLowerCase();
+        const period = periods[periodName];
+        if (!period) {
+          await bot.sendMessage(chatId, 'Usage: /top [week|month|all]', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        
+        const since = period.days ? new Date(Date.now() - period.days * 24 * 60 * 60 * 1000) : null;
+        const leaderboard = await getReactionLeaderboard(chatId, since);
+        const topMessage = `🏆 <b>Top Memes: ${period.label}</b> 🏆\n\n${formatReactionLeaderboard(chatId, leaderboard, 5)}`;
+        await bot.sendMessage(chatId, topMessage, inTopic(msg, { parse_mode: 'HTML', disable_web_page_preview: true }));
         return;
       }
       
@@ -492,25 +1478,67 @@ bot.on('message', async (msg) => {
         const helpMessage = `*Duplicate Detector Bot*\n\n`+
                           `This bot detects duplicate media in the group and tracks user statistics.\n\n`+
                           `*Commands:*\n`+
-                          `/stats - Get group statistics\n`+
+                          `/stats \\[day|week|month|year|all] - Get group statistics\n`+
+                          `/stats @user - Get a user's profile\n`+
+                          `/me - Get your own profile\n`+
+                          `/top \\[week|month|all] - Most reacted memes and posters\n`+
                           `/debug_reactions - Check reaction tracking status\n`+
                           `/webhook_info - Check webhook configuration\n`+
                           `/group_info - Check group type and bot permissions\n`+
-                          `/help - Show this help message`;
-        await bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+                          `/settings - View and change chat settings (admin)\n`+
+                          `/pardon - Reset a user's duplicate strikes, reply to them or give @username (admin)\n`+
+                          `/trigger\\_list - List auto-reply triggers (admin)\n`+
+                          `/trigger\\_add - Add a trigger: \`[prob=0.5] [cooldown=60] [user=@name] [normalize=off] pattern => reply | reply\` (admin)\n`+
+                          `/trigger\\_remove - Remove a trigger by its number (admin)\n`+
+                          `/trigger\\_test - Show which triggers match a text (admin)\n`+
+                          `/topic duplicates|triggers on|off|all - Limit duplicate detection or triggers to chosen forum topics, run in a topic (admin)\n`+
+                          `/help - Show this help message\n\n`+
+                          `Send me a meme in private to check whether it was already posted in your groups.`;
+        await bot.sendMessage(chatId, helpMessage, inTopic(msg, { parse_mode: 'Markdown' }));
+        return;
+      }
+      
+      // "/topic duplicates|triggers on|off|all" inside a forum topic limits a feature to chosen topics
+      if (command === 'topic') {
+        if (!(await isAdmin(chatId, userId))) {
+          await bot.sendMessage(chatId, '❌ Only group admins can change topic settings', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        
+        const topicSettings = { duplicates: 'duplicateTopics', triggers: 'triggerTopics' };
+        const [feature, mode] = msg.text.split(/\s+/).slice(1).map(word => word.toLowerCase());
+        const key = topicSettings[feature];
+        if (topicId === null || !key || !['on', 'off', 'all'].includes(mode)) {
+          await bot.sendMessage(chatId, 'Usage inside a forum topic: /topic duplicates|triggers on|off|all', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        
+        const topics = (await getChatSettings(storage, chatId))[key];
+        if (mode === 'off' && topics === null) {
+          await bot.sendMessage(
+            chatId,
+            `❌ ${SETTINGS_SCHEMA[key].label}: all topics. Use /topic ${feature} on in the topics it should be limited to.`,
+            inTopic(msg, { reply_to_message_id: msg.message_id })
+          );
+          return;
+        }
+        
+        let chosen = null;
+        if (mode === 'on') {
+          chosen = [...(topics || []), topicId];
+        } else if (mode === 'off') {
+          chosen = topics.filter(chosenTopicId => chosenTopicId !== topicId);
+        }
+        const value = await updateChatSetting(storage, chatId, key, chosen, userId);
+        await bot.sendMessage(chatId, `✅ ${escapeHtml(SETTINGS_SCHEMA[key].label)} set to <b>${escapeHtml(formatSettingValue(key, value))}</b>`, inTopic(msg, { parse_mode: 'HTML' }));
         return;
       }
       
       // Debug command to check reaction tracking
       if (command === 'debug_reactions') {
         try {
-          const db = client.db(dbName);
-          const reactionCount = await db.collection('messageReactions').countDocuments();
-          const recentReactions = await db.collection('messageReactions')
-            .find({})
-            .sort({ lastUpdated: -1 })
-            .limit(5)
-            .toArray();
+          const reactionCount = await storage.reactions.countMessages();
+          const recentReactions = await storage.reactions.listRecentMessages(5);
           
           let debugMessage = `<b>🔍 Reaction Tracking Debug</b>\n\n`;
           debugMessage += `📊 Total reactions in DB: ${reactionCount}\n\n`;
@@ -528,9 +1556,9 @@ bot.on('message', async (msg) => {
             debugMessage += `• Group type doesn't support reactions\n`;
           }
           
-          await bot.sendMessage(chatId, debugMessage, { parse_mode: 'HTML' });
+          await bot.sendMessage(chatId, debugMessage, inTopic(msg, { parse_mode: 'HTML' }));
         } catch (error) {
-          await bot.sendMessage(chatId, `❌ Error checking reactions: ${error.message}`);
+          await bot.sendMessage(chatId, `❌ Error checking reactions: ${error.message}`, inTopic(msg));
         }
         return;
       }
@@ -552,9 +1580,107 @@ bot.on('message', async (msg) => {
             infoMessage += `\n✅ No recent errors\n`;
           }
           
-          await bot.sendMessage(chatId, infoMessage, { parse_mode: 'HTML' });
+          await bot.sendMessage(chatId, infoMessage, inTopic(msg, { parse_mode: 'HTML' }));
+        } catch (error) {
+          await bot.sendMessage(chatId, `❌ Error getting webhook info: ${error.message}`, inTopic(msg));
+        }
+        return;
+      }
+      
+      // Chat settings, admin only
+      if (command === 'settings') {
+        if (!(await isAdmin(chatId, userId))) {
+          await bot.sendMessage(chatId, '❌ Only group admins can change settings', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        
+        // "/settings <name> <value>" changes a setting directly, which is the only way to edit text settings
+        const args = msg.text.slice(msg.text.indexOf(command) + command.length).trim();
+        if (args) {
+          const [key] = args.split(/\s+/, 1);
+          try {
+            const value = await updateChatSetting(storage, chatId, key, args.slice(key.length).trim(), userId);
+            await bot.sendMessage(chatId, `✅ ${escapeHtml(SETTINGS_SCHEMA[key].label)} set to <b>${escapeHtml(formatSettingValue(key, value))}</b>`, inTopic(msg, { parse_mode: 'HTML' }));
+          } catch (error) {
+            await bot.sendMessage(chatId, `❌ ${error.message}`, inTopic(msg, { reply_to_message_id: msg.message_id }));
+          }
+          return;
+        }
+        
+        const settings = await getChatSettings(storage, chatId);
+        await bot.sendMessage(chatId, formatSettingsMessage(settings), inTopic(msg, {
+          parse_mode: 'HTML',
+          reply_markup: buildSettingsKeyboard(settings)
+        }));
+        return;
+      }
+      
+      // Reset a user's duplicate strikes, admin only
+      if (command === 'pardon') {
+        if (!(await isAdmin(chatId, userId))) {
+          await bot.sendMessage(chatId, '❌ Only group admins can pardon users', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        
+        // The user is taken from the replied message, an @username or a numeric id
+        const args = msg.text.slice(msg.text.indexOf(command) + command.length).trim();
+        const target = await resolveChatUser(chatId, msg, args);
+        
+        if (!target) {
+          await bot.sendMessage(chatId, '❌ Reply to a message of the user or give their @username', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        
+        await pardonUser(storage, chatId, target.userId, pickAuthor(target), userId);
+        await bot.sendMessage(chatId, `🕊 Duplicate strikes of ${formatUserMention(target)} have been reset`, inTopic(msg, { parse_mode: 'HTML' }));
+        return;
+      }
+      
+      // Auto-reply trigger management, admin only
+      if (command.startsWith('trigger_')) {
+        if (!(await isAdmin(chatId, userId))) {
+          await bot.sendMessage(chatId, '❌ Only group admins can manage triggers', inTopic(msg, { reply_to_message_id: msg.message_id }));
+          return;
+        }
+        
+        const args = msg.text.slice(msg.text.indexOf(command) + command.length).trim();
+        
+        try {
+          if (command === 'trigger_list') {
+            const triggers = await getTriggers(storage, chatId);
+            let listMessage = `<b>🤖 Auto-reply Triggers</b>\n\n`;
+            if (triggers.length > 0) {
+              triggers.forEach((trigger, index) => {
+                listMessage += `${index + 1}. <code>${escapeHtml(describeTrigger(trigger))}</code>\n`;
+              });
+            } else {
+              listMessage += `No triggers configured\n`;
+            }
+            await bot.sendMessage(chatId, listMessage, inTopic(msg, { parse_mode: 'HTML' }));
+          } else if (command === 'trigger_add') {
+            const trigger = await addTrigger(storage, chatId, args, userId);
+            await bot.sendMessage(chatId, `✅ Trigger added: <code>${escapeHtml(describeTrigger(trigger))}</code>`, inTopic(msg, { parse_mode: 'HTML' }));
+          } else if (command === 'trigger_remove') {
+            const trigger = await removeTrigger(storage, chatId, parseInt(args, 10));
+            if (trigger) {
+              await bot.sendMessage(chatId, `🗑 Trigger removed: <code>${escapeHtml(describeTrigger(trigger))}</code>`, inTopic(msg, { parse_mode: 'HTML' }));
+            } else {
+              await bot.sendMessage(chatId, '❌ No trigger with that number, see /trigger_list', inTopic(msg));
+            }
+          } else if (command === 'trigger_test') {
+            const matches = await testTriggers(storage, chatId, args, msg.from);
+            let testMessage = `<b>🧪 Trigger Test</b>\n\n`;
+            if (matches.length > 0) {
+              matches.forEach(({ trigger, number }) => {
+                testMessage += `${number}. <code>${escapeHtml(describeTrigger(trigger))}</code>\n`;
+              });
+            } else {
+              testMessage += `No triggers match this text\n`;
+            }
+            await bot.sendMessage(chatId, testMessage, inTopic(msg, { parse_mode: 'HTML' }));
+          }
         } catch (error) {
-          await bot.sendMessage(chatId, `❌ Error getting webhook info: ${error.message}`);
+          await bot.sendMessage(chatId, `❌ ${error.message}`, inTopic(msg, { reply_to_message_id: msg.message_id }));
         }
         return;
       }
@@ -577,6 +1703,7 @@ bot.on('message', async (msg) => {
           if (botMember.status === 'administrator') {
             groupMessage += `Can read all messages: ${botMember.can_read_all_group_messages ? '✅' : '❌'}\n`;
             groupMessage += `Can delete messages: ${botMember.can_delete_messages ? '✅' : '❌'}\n`;
+            groupMessage += `Can restrict members: ${botMember.can_restrict_members ? '✅' : '❌'}\n`;
           } else if (botMember.status === 'member') {
             groupMessage += `\n⚠️ Bot is not admin - reactions may not work\n`;
           }
@@ -590,96 +1717,46 @@ bot.on('message', async (msg) => {
             groupMessage += `❌ Not a group - reactions not supported\n`;
           }
           
-          await bot.sendMessage(chatId, groupMessage, { parse_mode: 'HTML' });
+          await bot.sendMessage(chatId, groupMessage, inTopic(msg, { parse_mode: 'HTML' }));
         } catch (error) {
-          await bot.sendMessage(chatId, `❌ Error getting group info: ${error.message}`);
+          await bot.sendMessage(chatId, `❌ Error getting group info: ${error.message}`, inTopic(msg));
         }
         return;
       }
     }
     
+    // A message that is not part of the chat's pending album means the album is complete
+    const pendingAlbum = pendingAlbums.get(chatId);
+    if (pendingAlbum && pendingAlbum.mediaGroupId !== msg.media_group_id) {
+      await flushAlbum(chatId);
+    }
+    
+    // Configuration of every feature below
+    const settings = await getChatSettings(storage, chatId);
+    
     // Handle media messages (images, videos, gifs)
-    if (msg.photo || msg.video || msg.document) {
-      let mediaFileId;
-      let mediaType;
-      
-      if (msg.photo) {
-        mediaFileId = msg.photo[msg.photo.length - 1].file_id; // Get the highest resolution photo
-        mediaType = 'photo';
-      } else if (msg.video) {
-        mediaFileId = msg.video.file_id;
-        mediaType = 'video';
-      } else if (msg.document && (msg.document.mime_type || '').startsWith('image/')) {
-        mediaFileId = msg.document.file_id;
-        mediaType = 'document';
-      }
+    if (msg.photo || msg.video || msg.animation || msg.document) {
+      const { mediaFileId } = getMessageMedia(msg);
       
-      if (mediaFileId) {
-        // Get file path
-        const fileInfo = await bot.getFile(mediaFileId);
-        const fileUrl = `https://api.telegram.org/file/bot${token}/${fileInfo.file_path}`;
-        
-        // Download the file
-        const response = await fetch(fileUrl);
-        const mediaBuffer = Buffer.from(await response.arrayBuffer());
-        
-        // Generate perceptual hash for the media
-        const mediaHash = await hashMedia(mediaBuffer, mediaType);
-        
-        // Check for similar media in the database using perceptual hash
-        const existingMedia = await findSimilarMedia(mediaHash, mediaType);
-        
-        if (existingMedia) {
-          // Duplicate found
-          let posterMention;
-          if (existingMedia.username && !existingMedia.username.includes(' ')) {
-            posterMention = `@${existingMedia.username}`;
-          } else {
-            posterMention = existingMedia.username || existingMedia.userId;
-          }
-          // Format date as dd.mm.yyyy
-          const date = new Date(existingMedia.timestamp);
-          const postDate = `${date.getDate().toString().padStart(2, '0')}.${(date.getMonth() + 1).toString().padStart(2, '0')}.${date.getFullYear()}`;
-          
-          // Create link to original message
-          const originalMessageLink = `https://t.me/c/${Math.abs(chatId).toString().slice(3)}/${existingMedia.originalMessageId}`;
-          
-          await bot.sendMessage(
-            chatId, 
-            `⚠️ <b>Duplicate Content Detected</b> ⚠️\n\nThis ${mediaType} has already been posted by ${posterMention} on ${postDate}.\n\n📎 <a href="${originalMessageLink}">View original message</a>`,
-            { parse_mode: 'HTML', reply_to_message_id: msg.message_id, disable_web_page_preview: true }
-          );
-          
-          // Track this duplicate
-          await trackDuplicate(userId, username);
-        } else {
-          // Store the new media hash and metadata
-          await db.collection('media').insertOne({
-            hash: mediaHash,
-            originalMessageId: msg.message_id,
-            userId,
-            username,
-            mediaType,
-            timestamp: new Date(),
-            chatId
-          });
-          
-          // Update user statistics
-          await updateUserStatistics(userId, username, mediaType);
-        }
-        
-        // Reset consecutive text message counter when media is posted
-        consecutiveTextMessages[chatId] = 0;
+      if (mediaFileId && !isTopicEnabled(settings.duplicateTopics, topicId)) {
+        // Duplicate detection is limited to other topics, the post only counts for the poster
+        await updateUserStatistics(chatId, userId, author, getMessageMedia(msg).mediaType);
+      } else if (mediaFileId && msg.media_group_id) {
+        // Album items are checked together once the album is complete
+        collectAlbumItem(msg, author, settings);
+      } else if (mediaFileId) {
+        await handleMediaMessages([msg], author, settings);
       }
     } else if (msg.text && !msg.text.startsWith('/')) {
       // Handle regular text messages (not commands)
-      await updateUserStatistics(userId, username, 'text');
+      await updateUserStatistics(chatId, userId, author, 'text');
       
       // Store text message for weekly tracking
-      await db.collection('textMessages').insertOne({
+      await storage.textMessages.insert({
         userId,
-        username,
+        ...author,
         messageId: msg.message_id,
+        topicId,
         timestamp: new Date(),
         chatId
       });
@@ -690,56 +1767,199 @@ bot.on('message', async (msg) => {
       }
       consecutiveTextMessages[chatId]++;
       
-      // Remind users to post memes if 50+ consecutive text messages
-      if (consecutiveTextMessages[chatId] === 50) {
-        await bot.sendMessage(chatId, 'Что-то вы раскудахтались, где мемасы, петушки?');
+      // Remind users to post memes after too many consecutive text messages
+      if (settings.reminderThreshold > 0 && consecutiveTextMessages[chatId] >= settings.reminderThreshold) {
+        await bot.sendMessage(chatId, settings.reminderMessage, inTopic(msg));
         consecutiveTextMessages[chatId] = 0; // Reset counter after reminder
       }
       
-      // Check if message ends with "нет" (with optional punctuation) and respond
-      // Handles homoglyphs: е(Cyrillic) = e(Latin), н can be written as h visually
-      if (/(?:^|\s)[нn][еeё][тt][?!.,]*$/i.test(msg.text)) {
-        await bot.sendMessage(chatId, 'Пидора ответ', { reply_to_message_id: msg.message_id });
-      }
-      
-      // Check if message contains "сука" and respond
-      if (/сука/i.test(msg.text)) {
-        await bot.sendMessage(chatId, 'Внимание, обнаружена сучара', { reply_to_message_id: msg.message_id });
-      }
-      
-      // Check if message ends with "да" (with optional punctuation) and respond
-      if (/(?:^|\s)да[?!.,]*$/i.test(msg.text)) {
-        await bot.sendMessage(chatId, 'Пизда', { reply_to_message_id: msg.message_id });
+      // Reposted links, forwards of the same channel post and copypastas, one reply at most
+      if (isTopicEnabled(settings.duplicateTopics, topicId)) {
+        const isLinkDuplicate = await handleLinkMessage(msg, author, settings);
+        if (!isLinkDuplicate && settings.copypastaEnabled) {
+          await handleCopypasta(msg, author, settings);
+        }
       }
       
-      // Check if message contains "300" and respond
-      if (msg.text.includes('300')) {
-        await bot.sendMessage(chatId, 'Отсоси у тракториста', { reply_to_message_id: msg.message_id });
+      // Reply with the chat's auto-reply triggers
+      if (settings.triggersEnabled && isTopicEnabled(settings.triggerTopics, topicId)) {
+        await runTriggers(bot, storage, msg);
       }
+    }
+  } catch (error) {
+    console.error('Error processing message:', error);
+  }
+}
+onUpdate('message', msg => inChatOrder(msg.chat.id, () => handleMessage(msg)));
 
-      // Check if message contains "точно" (with homoglyph variants) as a complete word and respond
-      if (/(?:^|\s)[тt][оo]ч[нnh][оo](?:\s|[?!.,]|$)/i.test(msg.text)) {
-        await bot.sendMessage(chatId, 'соси сочно', { reply_to_message_id: msg.message_id });
-      }
+// Handle the /settings keyboard buttons
+async function handleSettingsCallback(query) {
+  const chatId = query.message.chat.id;
+  if (!(await isAdmin(chatId, query.from.id))) {
+    await bot.answerCallbackQuery(query.id, { text: 'Only group admins can change settings', show_alert: true });
+    return;
+  }
+  
+  const [, action, key] = query.data.split(':');
+  let settings = await getChatSettings(storage, chatId);
+  
+  if (action === 'show') {
+    // Text settings can't be edited with buttons, show the value and how to change it
+    await bot.answerCallbackQuery(query.id, {
+      text: `${SETTINGS_SCHEMA[key].label}: ${formatSettingValue(key, settings[key])}\n\nChange with /settings ${key} <value>`.slice(0, 200),
+      show_alert: true
+    });
+    return;
+  }
+  
+  if (action === 'reset') {
+    await resetChatSettings(storage, chatId, query.from.id);
+  } else if (action === 'toggle') {
+    await updateChatSetting(storage, chatId, key, !settings[key], query.from.id);
+  } else if (action === 'inc' || action === 'dec') {
+    await updateChatSetting(storage, chatId, key, stepSetting(key, settings[key], action === 'inc' ? 1 : -1), query.from.id);
+  }
+  
+  settings = await getChatSettings(storage, chatId);
+  await bot.editMessageText(formatSettingsMessage(settings), {
+    chat_id: chatId,
+    message_id: query.message.message_id,
+    parse_mode: 'HTML',
+    reply_markup: buildSettingsKeyboard(settings)
+  });
+  await bot.answerCallbackQuery(query.id, { text: 'Saved' });
+}
 
-      // 1% chance to reply to @brekelov
-      if (msg.from.username === 'brekelov' && Math.random() < 0.01) {
-        await bot.sendMessage(chatId, 'люблю тебя, папочка', { reply_to_message_id: msg.message_id });
-      }
+// Handle the "Not a duplicate" and "Confirmed" buttons under a duplicate warning
+async function handleDuplicateFeedback(query) {
+  const chatId = query.message.chat.id;
+  const [, verdict, reportId] = query.data.split(':');
+  
+  if (!ObjectId.isValid(reportId)) {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+  
+  const report = await storage.duplicateReports.get(chatId, reportId);
+  if (!report) {
+    await bot.answerCallbackQuery(query.id, { text: 'This duplicate report no longer exists' });
+    return;
+  }
+  
+  // Only the poster of the repost and admins can vote
+  if (report.userId !== query.from.id && !(await isAdmin(chatId, query.from.id))) {
+    await bot.answerCallbackQuery(query.id, { text: 'Only the poster or an admin can answer this', show_alert: true });
+    return;
+  }
+  
+  // Claim the report so that a double click can't resolve it twice
+  const status = verdict === 'fp' ? 'false_positive' : 'confirmed';
+  const claimed = await storage.duplicateReports.claim(report._id, { status, resolvedBy: query.from.id, resolvedAt: new Date() });
+  if (!claimed) {
+    await bot.answerCallbackQuery(query.id, { text: 'This duplicate report was already answered' });
+    return;
+  }
+  
+  const voter = formatUserMention({ userId: query.from.id, ...getAuthor(query.from) });
+  let statusLine;
+  
+  if (status === 'false_positive' && report.linkKey) {
+    // Only this repost is allowed, later posts of the link are still checked against the first one.
+    // The message itself was already counted.
+    await untrackDuplicate(chatId, report.userId, report.duplicateId);
+    await storeLinks(storage, {
+      chatId,
+      userId: report.userId,
+      author: pickAuthor(report),
+      keys: [{ key: report.linkKey, kind: report.linkKind }],
+      messageId: report.messageId,
+      topicId: report.topicId || null,
+      timestamp: report.timestamp
+    });
+    await allowlistDuplicatePair(
+      storage,
+      chatId,
+      getLinkPostId(report.linkKey, report.originalMessageId),
+      getLinkPostId(report.linkKey, report.messageId),
+      query.from.id
+    );
+    statusLine = `🙅 Marked as not a duplicate by ${voter}`;
+  } else if (status === 'false_positive' && report.originalTextId) {
+    // Keep the text as new and never match the pair again, the message itself was already counted
+    await untrackDuplicate(chatId, report.userId, report.duplicateId);
+    await storeText(storage, {
+      chatId,
+      userId: report.userId,
+      author: pickAuthor(report),
+      fingerprint: report.fingerprint,
+      messageId: report.messageId,
+      topicId: report.topicId || null,
+      timestamp: report.timestamp
+    });
+    await allowlistDuplicatePair(storage, chatId, report.originalHash, report.fingerprint.hash, query.from.id);
+    statusLine = `🙅 Marked as not a duplicate by ${voter}`;
+  } else if (status === 'false_positive') {
+    // Undo the duplicate, count the media as new and never match the pairs again.
+    // Album reports list every reposted item, other reports are their own only item.
+    // The album counts once, unless it already did for its new items.
+    await untrackDuplicate(chatId, report.userId, report.duplicateId);
+    for (const item of report.albumItems || [report]) {
+      await storeMedia(storage, {
+        chatId,
+        userId: report.userId,
+        author: pickAuthor(report),
+        mediaType: item.mediaType,
+        fingerprint: item.fingerprint,
+        messageId: item.messageId,
+        topicId: report.topicId || null,
+        mediaGroupId: report.mediaGroupId || null,
+        timestamp: report.timestamp
+      });
+      await allowlistDuplicatePair(storage, chatId, item.originalHash, item.fingerprint.hash, query.from.id);
+    }
+    if (!report.counted) {
+      await updateUserStatistics(chatId, report.userId, pickAuthor(report), report.mediaType);
+    }
+    statusLine = `🙅 Marked as not a duplicate by ${voter}`;
+  } else {
+    statusLine = `✅ Confirmed by ${voter}`;
+  }
+  
+  await bot.editMessageText(`${report.replyText}\n\n${statusLine}`, {
+    chat_id: chatId,
+    message_id: query.message.message_id,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true
+  });
+  await bot.answerCallbackQuery(query.id, { text: 'Thanks for the feedback' });
+}
+
+// Handle inline keyboard buttons
+async function handleCallbackQuery(query) {
+  try {
+    const data = query.data || '';
+    if (!query.message) {
+      await bot.answerCallbackQuery(query.id);
+    } else if (data.startsWith('settings:')) {
+      await handleSettingsCallback(query);
+    } else if (data.startsWith('dup:')) {
+      await handleDuplicateFeedback(query);
+    } else if (data.startsWith('captcha:')) {
+      await solveCaptcha(bot, storage, query, await getChatSettings(storage, query.message.chat.id));
+    } else {
+      await bot.answerCallbackQuery(query.id);
     }
   } catch (error) {
-    console.error('Error processing message:', error);
+    console.error('Error processing callback query:', error);
+    await bot.answerCallbackQuery(query.id, { text: `Error: ${error.message}` }).catch(() => {});
   }
-});
+}
+onUpdate('callback_query', query => inChatOrder(query.message ? query.message.chat.id : query.from.id, () => handleCallbackQuery(query)));
 
 // Function to get stored reaction count for a message
 async function getMessageReactions(chatId, messageId) {
   try {
-    const db = client.db(dbName);
-    const reactionData = await db.collection('messageReactions').findOne({
-      chatId: chatId.toString(),
-      messageId: messageId.toString()
-    });
+    const reactionData = await storage.reactions.getMessage(chatId, messageId);
     
     return reactionData ? reactionData.totalReactions : 0;
   } catch (error) {
@@ -748,71 +1968,135 @@ async function getMessageReactions(chatId, messageId) {
   }
 }
 
-// Function to update reaction count in database
-async function updateMessageReactions(chatId, messageId, reactions) {
+// Key identifying a reaction type, so that sets of reactions can be compared
+function getReactionKey(reaction) {
+  if (reaction.type === 'emoji') return `emoji:${reaction.emoji}`;
+  if (reaction.type === 'custom_emoji') return `custom:${reaction.custom_emoji_id}`;
+  return reaction.type;
+}
+
+// Find who posted a message the bot has seen, from stored media or text messages
+async function findMessageAuthor(chatId, messageId) {
+  const media = await storage.media.findByMessage(chatId, messageId);
+  if (media) {
+    return { userId: media.userId, ...pickAuthor(media) };
+  }
+  const textMsg = await storage.textMessages.findByMessage(chatId, messageId);
+  if (textMsg) {
+    return { userId: textMsg.userId, ...pickAuthor(textMsg) };
+  }
+  return null;
+}
+
+// Store the reaction counts of a message
+async function saveMessageReactionCounts(chatId, messageId, reactions, fields = {}) {
+  const totalReactions = reactions.reduce((sum, reaction) => sum + reaction.total_count, 0);
+  
+  console.log(`📊 Updating reactions for message ${messageId}: ${totalReactions} total reactions`);
+  
+  await storage.reactions.saveMessage(chatId, messageId, {
+    ...fields,
+    totalReactions,
+    reactions,
+    lastUpdated: new Date()
+  });
+}
+
+// Recalculate the reaction counts of a message from the reactions of every user
+async function updateMessageReactions(chatId, messageId, fields = {}) {
+  const reactions = await storage.reactions.countUserReactions(chatId, messageId);
+  
+  await saveMessageReactionCounts(chatId, messageId, reactions, fields);
+}
+
+// Record one user's reaction change and update the message counts and both users' statistics.
+// Returns the number of reactions added and removed.
+async function recordUserReaction(update) {
+  const chatId = update.chat.id;
+  const messageId = update.message_id;
+  
+  // Anonymous admins and channels react on behalf of a chat, they have no user statistics
+  const reactor = update.user || null;
+  const reactorId = reactor ? reactor.id : `chat_${update.actor_chat ? update.actor_chat.id : 'unknown'}`;
+  
+  // Diff against what we know the user had, Telegram's old_reaction when we never saw them
+  const stored = await storage.reactions.getUserReaction(chatId, messageId, reactorId);
+  const oldReactions = stored ? stored.reactions.map(reaction => reaction.type) : (update.old_reaction || []);
+  const newReactions = update.new_reaction || [];
+  const oldKeys = new Set(oldReactions.map(getReactionKey));
+  const newKeys = new Set(newReactions.map(getReactionKey));
+  const added = newReactions.filter(reaction => !oldKeys.has(getReactionKey(reaction))).length;
+  const removed = oldReactions.filter(reaction => !newKeys.has(getReactionKey(reaction))).length;
+  
+  const author = stored && stored.authorId !== undefined
+    ? { userId: stored.authorId, username: stored.authorUsername }
+    : await findMessageAuthor(chatId, messageId);
+  
+  if (newReactions.length > 0) {
+    await storage.reactions.saveUserReaction(chatId, messageId, reactorId, {
+      reactions: newReactions.map(reaction => ({ key: getReactionKey(reaction), type: reaction })),
+      reactorUsername: reactor ? reactor.username || null : null,
+      authorId: author ? author.userId : null,
+      authorUsername: author ? author.username : null,
+      updatedAt: new Date()
+    });
+  } else {
+    await storage.reactions.deleteUserReaction(chatId, messageId, reactorId);
+  }
+  
+  await updateMessageReactions(chatId, messageId, author ? { authorId: author.userId } : {});
+  
+  // Reactions given and received are kept with the rest of the user statistics
+  const change = added - removed;
+  if (change !== 0) {
+    if (reactor) {
+      await storage.userStats.addReactions(chatId, reactor.id, 'reactionsGiven', change, getAuthor(reactor));
+    }
+    if (author) {
+      await storage.userStats.addReactions(chatId, author.userId, 'reactionsReceived', change);
+    }
+  }
+  
+  return { added, removed };
+}
+
+// Handle joins and leaves
+async function handleChatMember(update) {
   try {
-    const db = client.db(dbName);
-    
-    // Calculate total reactions properly
-    // reactions is an array of reaction objects with counts
-    let totalReactions = 0;
-    if (Array.isArray(reactions)) {
-      totalReactions = reactions.reduce((sum, reaction) => {
-        // Handle both individual reactions and reaction count objects
-        if (reaction.total_count) {
-          return sum + reaction.total_count; // From message_reaction_count
-        } else {
-          return sum + 1; // From message_reaction (individual)
-        }
-      }, 0);
+    const settings = await getChatSettings(storage, update.chat.id);
+    const event = await handleChatMemberUpdate(bot, storage, update, settings);
+    if (event) {
+      console.log(`👥 [chat_member] User ${update.new_chat_member.user.id} ${event === 'join' ? 'joined' : 'left'} chat ${update.chat.id}`);
     }
-    
-    console.log(`📊 Updating reactions for message ${messageId}: ${totalReactions} total reactions`);
-    
-    await db.collection('messageReactions').updateOne(
-      {
-        chatId: chatId.toString(),
-        messageId: messageId.toString()
-      },
-      {
-        $set: {
-          totalReactions,
-          reactions: reactions,
-          lastUpdated: new Date()
-        }
-      },
-      { upsert: true }
-    );
   } catch (error) {
-    console.error('Error updating message reactions:', error);
+    console.error('❌ [chat_member] Error processing chat member update:', error);
   }
 }
+onUpdate('chat_member', update => inChatOrder(update.chat.id, () => handleChatMember(update)));
 
 // Handle message reaction updates
-bot.on('message_reaction', async (update) => {
+async function handleMessageReaction(update) {
   try {
     console.log('😍 [message_reaction] Reaction update received:', JSON.stringify(update, null, 2));
     
     const chatId = update.chat.id;
     const messageId = update.message_id;
-    const newReaction = update.new_reaction || [];
-    const oldReaction = update.old_reaction || [];
     
     console.log(`📝 [message_reaction] Processing: chatId=${chatId}, messageId=${messageId}`);
-    console.log(`📝 [message_reaction] Old reactions: ${oldReaction.length}, New reactions: ${newReaction.length}`);
     
-    // Update reaction count in database
-    await updateMessageReactions(chatId, messageId, newReaction);
+    // Each update is a single user's change, the message totals are derived from all users
+    const { added, removed } = await recordUserReaction(update);
     
-    console.log(`✅ [message_reaction] Updated reactions for message ${messageId} in chat ${chatId}`);
+    console.log(`✅ [message_reaction] Updated reactions for message ${messageId} in chat ${chatId}: +${added} -${removed}`);
     
   } catch (error) {
     console.error('❌ [message_reaction] Error processing reaction update:', error);
   }
-});
+}
+onUpdate('message_reaction', update => inChatOrder(update.chat.id, () => handleMessageReaction(update)));
 
 // Handle message reaction count updates (alternative event)
-bot.on('message_reaction_count', async (update) => {
+async function handleMessageReactionCount(update) {
   try {
     console.log('📊 [message_reaction_count] Reaction count update received:', JSON.stringify(update, null, 2));
     
@@ -823,83 +2107,90 @@ bot.on('message_reaction_count', async (update) => {
     console.log(`📝 [message_reaction_count] Processing: chatId=${chatId}, messageId=${messageId}`);
     console.log(`📝 [message_reaction_count] Reactions array:`, reactions);
     
-    // Calculate total reaction count
-    const totalReactions = reactions.reduce((sum, reaction) => sum + reaction.total_count, 0);
-    
-    console.log(`📊 [message_reaction_count] Calculated total: ${totalReactions}`);
-    
-    // Update in database
-    const db = client.db(dbName);
-    await db.collection('messageReactions').updateOne(
-      {
-        chatId: chatId.toString(),
-        messageId: messageId.toString()
-      },
-      {
-        $set: {
-          totalReactions,
-          reactions,
-          lastUpdated: new Date()
-        }
-      },
-      { upsert: true }
-    );
+    // Anonymous reactions only come as totals, which replace the counts of the message
+    await saveMessageReactionCounts(chatId, messageId, reactions);
     
-    console.log(`✅ [message_reaction_count] Updated reaction count for message ${messageId}: ${totalReactions} total reactions`);
+    console.log(`✅ [message_reaction_count] Updated reaction count for message ${messageId}`);
     
   } catch (error) {
     console.error('❌ [message_reaction_count] Error processing reaction count update:', error);
   }
-});
+}
+onUpdate('message_reaction_count', update => inChatOrder(update.chat.id, () => handleMessageReactionCount(update)));
 
-// Schedule weekly statistics post (Sunday at 12:00 PM)
-cron.schedule('0 12 * * 0', async () => {
+// Post statistics to every chat whose configured day and hour (settings statsDay/statsHour) has come.
+// Runs at the start of every hour.
+cron.schedule('0 * * * *', async () => {
   try {
+    const now = new Date();
+    
     // Get all unique chat IDs from the database where messages were processed
-    const db = client.db(dbName);
-    const uniqueChats = await db.collection('media').distinct('chatId');
+    const uniqueChats = await storage.media.distinctChatIds();
     
-    // Post to all groups where the bot has been active
-    if (uniqueChats.length > 0) {
-      console.log(`Found ${uniqueChats.length} chats to post statistics to`);
-      
-      for (const chatId of uniqueChats) {
-        try {
-          // Check if the chat is a group or supergroup
-          const chat = await bot.getChat(chatId);
-          if (chat.type === 'group' || chat.type === 'supergroup') {
-            // Generate stats specific to this chat for proper mentions
-            const statsMessage = await generateWeeklyStats(chatId);
-            await bot.sendMessage(chatId, statsMessage, { parse_mode: 'HTML' });
-            console.log(`Weekly statistics posted to group: ${chatId}`);
-          }
-        } catch (err) {
-          console.error(`Failed to post statistics to chat ${chatId}:`, err.message);
-        }
-      }
-    } else {
-      console.log('No active chats found to post statistics to');
+    // The configured group gets statistics too, even before any media was posted there
+    const chatIds = [...uniqueChats];
+    if (groupId && !uniqueChats.includes(parseInt(groupId))) {
+      chatIds.push(parseInt(groupId));
     }
     
-    // If a specific group ID is set and it's not in the unique chats, post there too
-    if (groupId && !uniqueChats.includes(parseInt(groupId)) && !uniqueChats.includes(groupId)) {
+    for (const chatId of chatIds) {
       try {
-        const statsMessage = await generateWeeklyStats(groupId);
-        await bot.sendMessage(groupId, statsMessage, { parse_mode: 'HTML' });
-        console.log(`Weekly statistics posted to configured group: ${groupId}`);
+        const settings = await getChatSettings(storage, chatId);
+        if (!settings.statsEnabled || now.getDay() !== settings.statsDay || now.getHours() !== settings.statsHour) {
+          continue;
+        }
+        
+        // Check if the chat is a group or supergroup
+        const chat = await bot.getChat(chatId);
+        if (chat.type === 'group' || chat.type === 'supergroup') {
+          // Generate stats specific to this chat for proper mentions
+          await sendStats(chatId, await generateStats(chatId, 'week'));
+          await announceMemeOfTheWeek(chatId);
+          console.log(`Weekly statistics posted to group: ${chatId}`);
+        }
       } catch (err) {
-        console.error(`Failed to post statistics to configured group ${groupId}:`, err.message);
+        console.error(`Failed to post statistics to chat ${chatId}:`, err.message);
       }
     }
-    
-    console.log('Weekly statistics posting completed');
   } catch (error) {
     console.error('Error posting weekly statistics:', error);
   }
-});
+}, { scheduled: !replay });
+
+// Read-only API for the dashboard, mounted here since it uses the statistics helpers above
+app.use('/api', createApiRouter({
+  storage,
+  statsPeriods: STATS_PERIODS,
+  collectStats,
+  collectUserProfile,
+  buildMessageLink,
+  apiToken: process.env.API_TOKEN
+}));
+
+// Feed the recorded updates through the bot and write what it sent
+async function runReplay() {
+  const transcriptPath = process.env.REPLAY_TRANSCRIPT || 'replay-transcript.json';
+  try {
+    const transcript = await replay.run(replayFile);
+    fs.writeFileSync(transcriptPath, JSON.stringify(transcript, null, 2));
+    console.log(`Replayed ${replayFile}, ${transcript.length} calls written to ${transcriptPath}`);
+  } catch (error) {
+    console.error('Replay failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await storage.close();
+  }
+}
 
 // Start the bot
 connectToDatabase().then(() => {
+  if (replay) {
+    return runReplay();
+  }
+  
+  // Captchas keep running across restarts
+  resumeCaptchas(bot, storage).catch(error => console.error('Error resuming captchas:', error));
+  
   console.log('Bot is running...');
   if (groupId) {
     console.log(`Bot is configured for group: ${groupId}`);
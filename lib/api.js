@@ -0,0 +1,199 @@
+// Read-only JSON API for the web dashboard, backed by the same queries as the bot commands
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Compare the bearer token in constant time
+function isAuthorized(req, apiToken) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(apiToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Parse an id from the path, chat and user ids are whole numbers (negative for groups)
+function parseId(value) {
+  const id = Number(value);
+  return Number.isSafeInteger(id) ? id : null;
+}
+
+// Page and page size from the query string, `?page=1&limit=20`
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Express 4 does not catch rejected promises of async handlers
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Router of the API. `deps` provides the storage and the bot's query functions:
+//   { storage, statsPeriods, collectStats, collectUserProfile, buildMessageLink, apiToken }
+function createApiRouter({ storage, statsPeriods, collectStats, collectUserProfile, buildMessageLink, apiToken }) {
+  const router = express.Router();
+
+  // Every endpoint needs the token, the API stays closed when none is configured
+  router.use((req, res, next) => {
+    if (!apiToken) {
+      res.status(503).json({ error: 'The API is disabled, set API_TOKEN to enable it' });
+      return;
+    }
+    if (!isAuthorized(req, apiToken)) {
+      res.status(401).json({ error: 'Missing or invalid bearer token' });
+      return;
+    }
+    next();
+  });
+
+  // Validate the chat id of /chats/:id routes
+  router.param('id', (req, res, next, value) => {
+    const id = parseId(value);
+    if (id === null) {
+      res.status(400).json({ error: `Invalid id "${value}"` });
+      return;
+    }
+    req.entityId = id;
+    next();
+  });
+
+  // Every chat the bot has seen, with its activity totals
+  router.get('/chats', asyncHandler(async (req, res) => {
+    res.json({ chats: await storage.userStats.summarizeChats() });
+  }));
+
+  // Statistics of a chat as in /stats, `?period=day|week|month|year|all`
+  router.get('/chats/:id/stats', asyncHandler(async (req, res) => {
+    const period = req.query.period || 'week';
+    if (!statsPeriods[period]) {
+      res.status(400).json({ error: `Unknown period, use one of: ${Object.keys(statsPeriods).join(', ')}` });
+      return;
+    }
+
+    const stats = await collectStats(req.entityId, period);
+    res.json({
+      ...stats,
+      leaderboard: {
+        ...stats.leaderboard,
+        topMedia: stats.leaderboard.topMedia.slice(0, 10).map(media => ({
+          messageId: media.originalMessageId,
+          link: buildMessageLink(req.entityId, media.originalMessageId, media.topicId),
+          mediaType: media.mediaType,
+          userId: media.userId,
+          username: media.username,
+          firstName: media.firstName,
+          lastName: media.lastName,
+          timestamp: media.timestamp,
+          totalReactions: media.reactionData.totalReactions
+        }))
+      }
+    });
+  }));
+
+  // Media posted in a chat, newest first, optionally of one user or type
+  router.get('/chats/:id/media', asyncHandler(async (req, res) => {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { skip, limit };
+    if (req.query.userId !== undefined) {
+      const userId = parseId(req.query.userId);
+      if (userId === null) {
+        res.status(400).json({ error: 'Invalid userId' });
+        return;
+      }
+      filter.userId = userId;
+    }
+    if (req.query.type) {
+      filter.mediaType = String(req.query.type);
+    }
+
+    const { items, total } = await storage.media.list(req.entityId, filter);
+
+    res.json({
+      page,
+      limit,
+      total,
+      items: items.map(media => ({
+        ...media,
+        link: buildMessageLink(req.entityId, media.originalMessageId, media.topicId)
+      }))
+    });
+  }));
+
+  // Duplicates caught in a chat, newest first, with links to the repost and the original
+  router.get('/chats/:id/duplicates', asyncHandler(async (req, res) => {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { skip, limit };
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+
+    const { items, total } = await storage.duplicateReports.list(req.entityId, filter);
+
+    res.json({
+      page,
+      limit,
+      total,
+      items: items.map(({ original, ...report }) => ({
+        ...report,
+        link: buildMessageLink(req.entityId, report.messageId, report.topicId),
+        original: original ? {
+          ...original,
+          link: buildMessageLink(req.entityId, original.originalMessageId, original.topicId)
+        } : null
+      }))
+    });
+  }));
+
+  // Profiles of a user as in /me, one per chat, `?chatId=` limits them to one chat
+  router.get('/users/:id', asyncHandler(async (req, res) => {
+    let chatId;
+    if (req.query.chatId !== undefined) {
+      chatId = parseId(req.query.chatId);
+      if (chatId === null) {
+        res.status(400).json({ error: 'Invalid chatId' });
+        return;
+      }
+    }
+
+    const chatIds = await storage.userStats.getChatIds(req.entityId, chatId);
+    const profiles = [];
+    for (const profileChatId of chatIds) {
+      const profile = await collectUserProfile(profileChatId, req.entityId);
+      if (profile) {
+        profiles.push({
+          ...profile,
+          topPosts: profile.topPosts.map(media => ({
+            messageId: media.originalMessageId,
+            link: buildMessageLink(profileChatId, media.originalMessageId, media.topicId),
+            mediaType: media.mediaType,
+            timestamp: media.timestamp,
+            totalReactions: media.reactionData.totalReactions
+          }))
+        });
+      }
+    }
+
+    if (profiles.length === 0) {
+      res.status(404).json({ error: 'No statistics for this user' });
+      return;
+    }
+    res.json({ userId: req.entityId, profiles });
+  }));
+
+  router.use((error, req, res, next) => {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter
+};
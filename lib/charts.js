@@ -0,0 +1,134 @@
+// Statistics chart images, drawn as SVG and rendered to PNG with sharp
+
+const sharp = require('sharp');
+
+const WIDTH = 1000;
+const HEIGHT = 640;
+const FONT = 'DejaVu Sans, Arial, sans-serif';
+const BAR_COLOR = '#4e79a7';
+const LINE_COLOR = '#e15759';
+const MUTED_COLOR = '#9aa0a6';
+
+// Escape text for use inside SVG
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Shorten labels that would overflow their column
+function truncate(text, maxLength) {
+  const chars = [...String(text)];
+  return chars.length > maxLength ? `${chars.slice(0, maxLength - 1).join('')}…` : chars.join('');
+}
+
+// Horizontal bars of the top contributors
+function renderBarChart(items, x, y, width, height) {
+  let svg = `<text x="${x}" y="${y}" font-size="20" font-weight="bold">Top Contributors</text>`;
+  if (items.length === 0) {
+    return `${svg}<text x="${x}" y="${y + 40}" font-size="16" fill="${MUTED_COLOR}">No messages</text>`;
+  }
+
+  const max = Math.max(...items.map(item => item.value), 1);
+  const labelWidth = 150;
+  const rowHeight = Math.min(40, (height - 20) / items.length);
+
+  items.forEach((item, index) => {
+    const rowY = y + 20 + index * rowHeight;
+    const barWidth = Math.max(2, (width - labelWidth - 50) * item.value / max);
+    svg += `<text x="${x}" y="${rowY + rowHeight * 0.6}" font-size="15">${escapeXml(truncate(item.label, 16))}</text>`;
+    svg += `<rect x="${x + labelWidth}" y="${rowY + rowHeight * 0.15}" width="${barWidth}" height="${rowHeight * 0.7}" rx="3" fill="${BAR_COLOR}"/>`;
+    svg += `<text x="${x + labelWidth + barWidth + 6}" y="${rowY + rowHeight * 0.6}" font-size="14">${item.value}</text>`;
+  });
+
+  return svg;
+}
+
+// Pie chart with a legend of the message type breakdown
+function renderPieChart(items, x, y, radius) {
+  let svg = `<text x="${x - radius}" y="${y - radius - 20}" font-size="20" font-weight="bold">Breakdown</text>`;
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+
+  if (total === 0) {
+    svg += `<circle cx="${x}" cy="${y}" r="${radius}" fill="#e8eaed"/>`;
+    return `${svg}<text x="${x}" y="${y + 5}" font-size="16" text-anchor="middle" fill="${MUTED_COLOR}">No data</text>`;
+  }
+
+  let angle = -Math.PI / 2;
+  items.filter(item => item.value > 0).forEach(item => {
+    const share = item.value / total;
+    if (share === 1) {
+      svg += `<circle cx="${x}" cy="${y}" r="${radius}" fill="${item.color}"/>`;
+      return;
+    }
+    const endAngle = angle + share * 2 * Math.PI;
+    const largeArc = share > 0.5 ? 1 : 0;
+    const startX = x + radius * Math.cos(angle);
+    const startY = y + radius * Math.sin(angle);
+    const endX = x + radius * Math.cos(endAngle);
+    const endY = y + radius * Math.sin(endAngle);
+    svg += `<path d="M ${x} ${y} L ${startX} ${startY} A ${radius} ${radius} 0 ${largeArc} 1 ${endX} ${endY} Z" fill="${item.color}"/>`;
+    angle = endAngle;
+  });
+
+  items.forEach((item, index) => {
+    const legendY = y - radius + index * 28;
+    const percent = Math.round(item.value / total * 100);
+    svg += `<rect x="${x + radius + 30}" y="${legendY}" width="16" height="16" fill="${item.color}"/>`;
+    svg += `<text x="${x + radius + 54}" y="${legendY + 13}" font-size="15">${escapeXml(item.label)}: ${item.value} (${percent}%)</text>`;
+  });
+
+  return svg;
+}
+
+// Line chart of messages per time bucket
+function renderLineChart(points, x, y, width, height) {
+  let svg = `<text x="${x}" y="${y}" font-size="20" font-weight="bold">Activity</text>`;
+  const chartTop = y + 20;
+  const chartBottom = y + height - 25;
+  const max = Math.max(...points.map(point => point.value), 1);
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+
+  svg += `<line x1="${x}" y1="${chartBottom}" x2="${x + width}" y2="${chartBottom}" stroke="${MUTED_COLOR}"/>`;
+  svg += `<text x="${x - 8}" y="${chartTop + 5}" font-size="12" text-anchor="end" fill="${MUTED_COLOR}">${max}</text>`;
+
+  const coordinates = points.map((point, index) => [
+    x + index * step,
+    chartBottom - (chartBottom - chartTop) * point.value / max
+  ]);
+  svg += `<polyline points="${coordinates.map(([px, py]) => `${px},${py}`).join(' ')}" fill="none" stroke="${LINE_COLOR}" stroke-width="3"/>`;
+  coordinates.forEach(([px, py]) => {
+    svg += `<circle cx="${px}" cy="${py}" r="3" fill="${LINE_COLOR}"/>`;
+  });
+
+  // Label at most eight points so that the axis stays readable
+  const labelEvery = Math.max(1, Math.ceil(points.length / 8));
+  points.forEach((point, index) => {
+    if (index % labelEvery === 0 || index === points.length - 1) {
+      svg += `<text x="${coordinates[index][0]}" y="${chartBottom + 18}" font-size="12" text-anchor="middle" fill="${MUTED_COLOR}">${escapeXml(point.label)}</text>`;
+    }
+  });
+
+  return svg;
+}
+
+// Render the statistics chart:
+//   { title, contributors: [{ label, value }], breakdown: [{ label, value, color }], activity: [{ label, value }] }
+async function renderStatsChart({ title, contributors, breakdown, activity }) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" font-family="${FONT}" fill="#202124">
+    <rect width="100%" height="100%" fill="#ffffff"/>
+    <text x="${WIDTH / 2}" y="42" font-size="28" font-weight="bold" text-anchor="middle">${escapeXml(title)}</text>
+    ${renderBarChart(contributors, 40, 95, 480, 250)}
+    ${renderPieChart(breakdown, 640, 230, 95)}
+    ${renderLineChart(activity, 70, 400, WIDTH - 120, 220)}
+  </svg>`;
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+  renderStatsChart
+};
@@ -0,0 +1,50 @@
+// SimHash fingerprints of long texts, so that copypastas reposted with small edits still match
+
+const crypto = require('crypto');
+const { normalizeHomoglyphs } = require('./triggers');
+const { getHashSegments } = require('./fingerprint');
+
+// Characters per shingle, short enough that an edited word only changes the shingles around it
+const SHINGLE_LENGTH = 5;
+
+const SIMHASH_BITS = 64;
+
+// Largest number of differing bits between two copies of a text. Kept below HASH_INDEX_SEGMENTS
+// so that every match shares a segment with the text and is found through the index.
+const COPYPASTA_DISTANCE = 7;
+
+// Fold a text the way triggers are matched, and drop case, punctuation, emoji and spacing
+function normalizeCopypasta(text) {
+  return normalizeHomoglyphs(text)
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// SimHash over the character shingles of a normalized text, as a string of bits like the media hashes
+function simhash(normalized) {
+  const weights = new Array(SIMHASH_BITS).fill(0);
+  for (let i = 0; i + SHINGLE_LENGTH <= normalized.length; i++) {
+    const digest = crypto.createHash('md5').update(normalized.slice(i, i + SHINGLE_LENGTH)).digest();
+    for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+      weights[bit] += (digest[bit >> 3] >> (7 - (bit & 7))) & 1 ? 1 : -1;
+    }
+  }
+  return weights.map(weight => (weight > 0 ? '1' : '0')).join('');
+}
+
+// Fingerprint of a text message or caption, or null when it is shorter than `minLength`
+// characters once normalized. Returns { hash, hashSegments }.
+function fingerprintText(text, minLength) {
+  const normalized = normalizeCopypasta(text || '');
+  if (normalized.length < minLength) {
+    return null;
+  }
+
+  const hash = simhash(normalized);
+  return { hash, hashSegments: getHashSegments(hash) };
+}
+
+module.exports = {
+  COPYPASTA_DISTANCE,
+  fingerprintText
+};
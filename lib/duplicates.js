@@ -0,0 +1,229 @@
+// Duplicate search over the stored media fingerprints
+
+const {
+  IMAGE_MEDIA_TYPES,
+  VIDEO_MEDIA_TYPES,
+  HASH_INDEX_SEGMENTS,
+  calculateHashDistance,
+  getHashSegments,
+  getFingerprintSegments,
+  getImageVariants,
+  describeImageMatch,
+  compareFrameSequences
+} = require('./fingerprint');
+const { COPYPASTA_DISTANCE } = require('./copypasta');
+
+// Hash pairs in a chat that were reported as "Not a duplicate", keyed by each of the two hashes
+async function loadDuplicateAllowlist(storage, chatId) {
+  const entries = await storage.allowlist.list(chatId);
+
+  const allowlist = new Map();
+  for (const { hashes: [hash1, hash2] } of entries) {
+    if (!allowlist.has(hash1)) allowlist.set(hash1, []);
+    if (!allowlist.has(hash2)) allowlist.set(hash2, []);
+    allowlist.get(hash1).push(hash2);
+    allowlist.get(hash2).push(hash1);
+  }
+  return allowlist;
+}
+
+// Whether stored media must not be matched with new media, because the new media
+// looks like a hash that was reported as not being a duplicate of it
+function isAllowlisted(allowlist, hash, storedHash, similarityThreshold) {
+  const allowedHashes = allowlist.get(storedHash) || [];
+  return allowedHashes.some(allowedHash => (
+    allowedHash === hash || calculateHashDistance(hash, allowedHash) <= similarityThreshold
+  ));
+}
+
+// Add a pair of media hashes that must never be matched with each other again
+async function allowlistDuplicatePair(storage, chatId, hash1, hash2, addedBy) {
+  await storage.allowlist.insert({
+    chatId,
+    hashes: [hash1, hash2],
+    addedBy,
+    timestamp: new Date()
+  });
+}
+
+// Find media in the same chat whose keyframes match the given ones
+async function findSimilarVideo(storage, hash, frameHashes, chatId, similarityThreshold) {
+  // Like images, thresholds beyond the indexed range need a full scan
+  const segments = similarityThreshold < HASH_INDEX_SEGMENTS ? [...new Set(frameHashes.flatMap(getHashSegments))] : null;
+  const candidates = await storage.media.findVideoCandidates(chatId, segments);
+  const allowlist = await loadDuplicateAllowlist(storage, chatId);
+  let mostSimilar = null;
+  let lowestDistance = Infinity;
+
+  for await (const media of candidates) {
+    if (isAllowlisted(allowlist, hash, media.hash, similarityThreshold)) continue;
+
+    const comparison = compareFrameSequences(frameHashes, media.frameHashes, similarityThreshold);
+    if (comparison && comparison.averageDistance < lowestDistance) {
+      mostSimilar = { ...media, distance: Math.round(comparison.averageDistance * 10) / 10 };
+      lowestDistance = comparison.averageDistance;
+    }
+  }
+
+  return mostSimilar;
+}
+
+// Find similar media in the same chat using its fingerprint from hashMedia.
+// The match carries its `distance`, for videos the average distance of the matched keyframes.
+async function findSimilarMedia(storage, fingerprint, mediaType, chatId, similarityThreshold = 5) {
+  const { hash } = fingerprint;
+  const allowlist = await loadDuplicateAllowlist(storage, chatId);
+
+  // Exact copies match unless they were reported as not being a duplicate
+  const findExactMatch = async () => {
+    const exactMatches = await storage.media.findExact(chatId, hash);
+    const exactMatch = exactMatches.find(media => !isAllowlisted(allowlist, hash, media.hash, 0));
+    return exactMatch ? { ...exactMatch, distance: 0 } : null;
+  };
+
+  // Videos and animations are matched on their keyframes, after checking for an exact copy
+  if (VIDEO_MEDIA_TYPES.includes(mediaType)) {
+    const exactMatch = await findExactMatch();
+    if (exactMatch || !fingerprint.frameHashes) {
+      return exactMatch;
+    }
+    return await findSimilarVideo(storage, hash, fingerprint.frameHashes, chatId, similarityThreshold);
+  }
+
+  // For traditional crypto hashes, we need an exact match
+  if (!IMAGE_MEDIA_TYPES.includes(mediaType)) {
+    return await findExactMatch();
+  }
+
+  // For perceptual hashes, we allow some difference. Every variant of the new image is
+  // compared with every stored variant, so mirrored, rotated and cropped copies match too.
+  // Within the indexed range only media sharing a hash segment can match; larger
+  // thresholds need a full scan.
+  const queryVariants = getImageVariants(fingerprint);
+  const candidates = await storage.media.findImageCandidates(
+    chatId,
+    similarityThreshold < HASH_INDEX_SEGMENTS ? getFingerprintSegments(fingerprint, mediaType) : null
+  );
+
+  // Find the most similar media within threshold
+  let mostSimilar = null;
+  let lowestDistance = similarityThreshold + 1;
+
+  for await (const media of candidates) {
+    if (isAllowlisted(allowlist, hash, media.hash, similarityThreshold)) continue;
+
+    // A copy that matches as it is is not labelled as edited, even if a variant pair is closer
+    const directDistance = calculateHashDistance(hash, media.hash);
+    if (directDistance <= similarityThreshold) {
+      if (directDistance < lowestDistance) {
+        mostSimilar = { ...media, distance: directDistance, matchedTransform: null };
+        lowestDistance = directDistance;
+      }
+      continue;
+    }
+
+    for (const queryVariant of queryVariants) {
+      for (const storedVariant of getImageVariants(media)) {
+        const distance = calculateHashDistance(queryVariant.hash, storedVariant.hash);
+        if (distance <= similarityThreshold && distance < lowestDistance) {
+          mostSimilar = {
+            ...media,
+            distance,
+            matchedTransform: describeImageMatch(queryVariant.transform, storedVariant.transform)
+          };
+          lowestDistance = distance;
+        }
+      }
+    }
+  }
+
+  return mostSimilar;
+}
+
+// Store a media record. Returns its id, or null when the message was already stored.
+// `author` holds the poster's username, firstName and lastName.
+// `topicId` is the forum topic of the message, null outside forums, and `mediaGroupId` the album it is part of.
+async function storeMedia(storage, { chatId, userId, author, mediaType, fingerprint, messageId, topicId = null, mediaGroupId = null, timestamp = new Date() }) {
+  return storage.media.insert({
+    ...fingerprint,
+    hashSegments: getFingerprintSegments(fingerprint, mediaType),
+    originalMessageId: messageId,
+    topicId,
+    mediaGroupId,
+    userId,
+    ...author,
+    mediaType,
+    timestamp,
+    chatId
+  });
+}
+
+// Allowlist entry of a link posted in a message, see allowlistDuplicatePair
+function getLinkPostId(key, messageId) {
+  return `${key}@${messageId}`;
+}
+
+// Find the first post of any of a message's link keys from getMessageLinkKeys, in key order.
+// A first post that was reported as not being duplicated by this message doesn't match.
+async function findPostedLink(storage, chatId, keys, messageId) {
+  const allowlist = await loadDuplicateAllowlist(storage, chatId);
+  for (const { key, kind } of keys) {
+    const posted = await storage.links.findFirst(chatId, key);
+    if (!posted) continue;
+
+    const allowed = allowlist.get(getLinkPostId(key, posted.originalMessageId)) || [];
+    if (!allowed.includes(getLinkPostId(key, messageId))) {
+      return { ...posted, kind };
+    }
+  }
+  return null;
+}
+
+// Store the link keys of a message, so later posts of the same links match it
+async function storeLinks(storage, { chatId, userId, author, keys, messageId, topicId = null, timestamp = new Date() }) {
+  for (const { key, kind } of keys) {
+    await storage.links.insert({ chatId, key, kind, originalMessageId: messageId, topicId, userId, ...author, timestamp });
+  }
+}
+
+// Find the closest earlier text in the same chat that is a near copy of a fingerprint from fingerprintText
+async function findSimilarText(storage, fingerprint, chatId) {
+  const { hash } = fingerprint;
+  const allowlist = await loadDuplicateAllowlist(storage, chatId);
+  const candidates = await storage.textFingerprints.findCandidates(chatId, fingerprint.hashSegments);
+
+  let mostSimilar = null;
+  for await (const text of candidates) {
+    if (isAllowlisted(allowlist, hash, text.hash, COPYPASTA_DISTANCE)) continue;
+
+    const distance = calculateHashDistance(hash, text.hash);
+    if (distance <= COPYPASTA_DISTANCE && (!mostSimilar || distance < mostSimilar.distance)) {
+      mostSimilar = { ...text, distance };
+    }
+  }
+  return mostSimilar;
+}
+
+// Store the fingerprint of a long text or caption. Returns its id, or null when the message was already stored.
+async function storeText(storage, { chatId, userId, author, fingerprint, messageId, topicId = null, timestamp = new Date() }) {
+  return storage.textFingerprints.insert({
+    ...fingerprint,
+    originalMessageId: messageId,
+    topicId,
+    userId,
+    ...author,
+    timestamp,
+    chatId
+  });
+}
+
+module.exports = {
+  allowlistDuplicatePair,
+  findSimilarMedia,
+  storeMedia,
+  findPostedLink,
+  storeLinks,
+  getLinkPostId,
+  findSimilarText,
+  storeText
+};
@@ -0,0 +1,341 @@
+// Media fingerprints: perceptual hashes of images and their variants, keyframe hashes of
+// videos, and the helpers that compare them
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const imageHash = require('image-hash');
+
+const execFileAsync = promisify(execFile);
+
+// Create downloads directory if it doesn't exist
+const downloadsDir = path.join(__dirname, '..', 'downloads');
+if (!fs.existsSync(downloadsDir)) {
+  fs.mkdirSync(downloadsDir, { recursive: true });
+}
+
+// Media types that are fingerprinted from image content and from sampled video frames
+const IMAGE_MEDIA_TYPES = ['photo', 'document'];
+const VIDEO_MEDIA_TYPES = ['video', 'animation'];
+
+// Keyframe sampling for video and animation fingerprints
+const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+const VIDEO_SAMPLE_FPS = 1;
+const VIDEO_MAX_FRAMES = 60;
+
+// Traditional crypto hash, used for exact matching and as fallback
+function cryptoHash(media) {
+  const hash = crypto.createHash('sha256');
+  hash.update(media);
+  return hash.digest('hex');
+}
+
+// Generate a perceptual hash for an image file path or a { data, ext } buffer
+function perceptualHash(source) {
+  return new Promise((resolve, reject) => {
+    imageHash.imageHash(source, 16, true, (error, hash) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(hash);
+      }
+    });
+  });
+}
+
+// Hashes made of a single repeated digit come from blank frames and match everything
+function isUniformHash(hash) {
+  return /^(.)\1*$/.test(hash);
+}
+
+// Sample frames from a video or animation with ffmpeg and hash each of them
+async function fingerprintVideo(media) {
+  const workDir = fs.mkdtempSync(path.join(downloadsDir, 'frames_'));
+
+  try {
+    const inputPath = path.join(workDir, 'input');
+    fs.writeFileSync(inputPath, media);
+
+    // Frames are scaled down so that resolution changes do not affect the hashes
+    await execFileAsync(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', inputPath,
+      '-vf', `fps=${VIDEO_SAMPLE_FPS},scale=256:-2`,
+      '-frames:v', String(VIDEO_MAX_FRAMES),
+      path.join(workDir, 'frame_%03d.png')
+    ], { timeout: 60000 });
+
+    const frameFiles = fs.readdirSync(workDir)
+      .filter(file => file.startsWith('frame_'))
+      .sort();
+
+    const frameHashes = [];
+    for (const frameFile of frameFiles) {
+      const hash = await perceptualHash(path.join(workDir, frameFile));
+      if (!isUniformHash(hash)) {
+        frameHashes.push(hash);
+      }
+    }
+
+    return frameHashes.length > 0 ? frameHashes : null;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Share of the image cut from an edge by the cropped variants
+const CROP_SHARE = 0.1;
+
+// Cut CROP_SHARE of the image from each of the given edges
+async function cropEdges(image, edges) {
+  const { width, height } = await image.metadata();
+  const cut = edge => (edges.includes(edge) ? CROP_SHARE : 0);
+  return image.extract({
+    left: Math.floor(width * cut('left')),
+    top: Math.floor(height * cut('top')),
+    width: Math.max(1, Math.floor(width * (1 - cut('left') - cut('right')))),
+    height: Math.max(1, Math.floor(height * (1 - cut('top') - cut('bottom'))))
+  });
+}
+
+// Image transformations stored as extra hashes, so that edited reposts still match
+const IMAGE_VARIANT_TRANSFORMS = {
+  trimmed: image => image.trim({ threshold: 50 }),
+  // Even crops drop thin frames, one-edge crops drop a watermark or caption strip along that edge
+  cropped: image => cropEdges(image, ['top', 'bottom', 'left', 'right']),
+  croppedTop: image => cropEdges(image, ['top']),
+  croppedBottom: image => cropEdges(image, ['bottom']),
+  croppedLeft: image => cropEdges(image, ['left']),
+  croppedRight: image => cropEdges(image, ['right']),
+  mirrored: image => image.flop(),
+  flipped: image => image.flip(),
+  rotated90: image => image.rotate(90),
+  rotated180: image => image.rotate(180),
+  rotated270: image => image.rotate(270)
+};
+
+// Hash an image after normalizing it to PNG with sharp, optionally transformed
+async function hashNormalizedImage(media, transform) {
+  let image = sharp(media);
+  if (transform) {
+    image = await transform(image);
+  }
+  const data = await image.png().toBuffer();
+  return perceptualHash({ data, ext: 'image/png' });
+}
+
+// Hash every variant of an image, skipping the ones sharp cannot produce
+async function hashImageVariants(media) {
+  const variants = [];
+
+  for (const [transform, apply] of Object.entries(IMAGE_VARIANT_TRANSFORMS)) {
+    try {
+      variants.push({ transform, hash: await hashNormalizedImage(media, apply) });
+    } catch (error) {
+      console.error(`Error hashing ${transform} image variant:`, error.message);
+    }
+  }
+
+  return variants;
+}
+
+// Function to hash media files using perceptual hashing
+const hashMedia = async (media, mediaType) => {
+  // For images, use perceptual hashing. The original goes through sharp like its variants,
+  // so that every hash of an image comes from the same decoder.
+  if (IMAGE_MEDIA_TYPES.includes(mediaType)) {
+    let hash;
+    try {
+      hash = await hashNormalizedImage(media);
+    } catch (error) {
+      console.error('Error generating perceptual hash:', error);
+      return { hash: cryptoHash(media) }; // Fallback to crypto hash
+    }
+
+    return { hash, hashVariants: await hashImageVariants(media) };
+  }
+
+  // For videos and animations, keep the crypto hash for exact matches and add keyframe hashes
+  if (VIDEO_MEDIA_TYPES.includes(mediaType)) {
+    try {
+      const frameHashes = await fingerprintVideo(media);
+      if (frameHashes) {
+        return { hash: cryptoHash(media), frameHashes };
+      }
+    } catch (error) {
+      console.error('Error extracting video keyframes:', error.message);
+    }
+  }
+
+  return { hash: cryptoHash(media) };
+};
+
+// Calculate Hamming distance between two perceptual hashes
+function calculateHashDistance(hash1, hash2) {
+  if (!hash1 || !hash2 || hash1.length !== hash2.length) {
+    return Infinity; // Return a large number if hashes can't be compared
+  }
+
+  let distance = 0;
+  for (let i = 0; i < hash1.length; i++) {
+    if (hash1[i] !== hash2[i]) {
+      distance++;
+    }
+  }
+  return distance;
+}
+
+// Perceptual hashes are split into this many segments for the similarity index.
+// Two hashes within a distance lower than the segment count always share at least
+// one identical segment, so only media sharing a segment needs to be compared.
+const HASH_INDEX_SEGMENTS = 8;
+
+// Split a perceptual hash into position-tagged segments for the similarity index
+function getHashSegments(hash) {
+  if (!hash) return [];
+
+  const segmentLength = Math.ceil(hash.length / HASH_INDEX_SEGMENTS);
+  const segments = [];
+  for (let i = 0; i < HASH_INDEX_SEGMENTS; i++) {
+    const segment = hash.slice(i * segmentLength, (i + 1) * segmentLength);
+    if (segment) {
+      segments.push(`${i}:${segment}`);
+    }
+  }
+  return segments;
+}
+
+// Similarity index segments for a media fingerprint (every keyframe of a video is indexed)
+function getFingerprintSegments(fingerprint, mediaType) {
+  if (fingerprint.frameHashes) {
+    return [...new Set(fingerprint.frameHashes.flatMap(getHashSegments))];
+  }
+  if (IMAGE_MEDIA_TYPES.includes(mediaType)) {
+    return [...new Set(getImageVariants(fingerprint).flatMap(variant => getHashSegments(variant.hash)))];
+  }
+  return [];
+}
+
+// All hashes of an image, starting with the untransformed one
+function getImageVariants(fingerprint) {
+  return [{ transform: 'original', hash: fingerprint.hash }, ...(fingerprint.hashVariants || [])];
+}
+
+// Names of the variants that change the content of an image, used in duplicate replies.
+// Matching on them says something was cut or added, whichever side the variant was taken from.
+const CONTENT_TRANSFORM_LABELS = {
+  trimmed: 'border removed or added',
+  cropped: 'cropped or watermarked',
+  croppedTop: 'cropped or watermarked at the top',
+  croppedBottom: 'cropped or watermarked at the bottom',
+  croppedLeft: 'cropped or watermarked on the left',
+  croppedRight: 'cropped or watermarked on the right'
+};
+
+// Orientation changes of the variants as 2x2 matrices [a, b, c, d] on image coordinates
+// (x to the right, y down). Content variants keep the orientation.
+const ORIENTATIONS = {
+  original: [1, 0, 0, 1],
+  mirrored: [-1, 0, 0, 1],
+  flipped: [1, 0, 0, -1],
+  rotated90: [0, -1, 1, 0],
+  rotated180: [-1, 0, 0, -1],
+  rotated270: [0, 1, -1, 0]
+};
+
+// Names of the orientation changes from an original to its repost, by matrix
+const ORIENTATION_LABELS = {
+  '-1,0,0,1': 'mirrored',
+  '1,0,0,-1': 'flipped upside down',
+  '0,-1,1,0': 'rotated 90° clockwise',
+  '-1,0,0,-1': 'rotated 180°',
+  '0,1,-1,0': 'rotated 90° counterclockwise',
+  '0,1,1,0': 'mirrored and rotated 90°',
+  '0,-1,-1,0': 'mirrored and rotated 90°'
+};
+
+function multiplyOrientations([a, b, c, d], [e, f, g, h]) {
+  return [a * e + b * g, a * f + b * h, c * e + d * g, c * f + d * h];
+}
+
+// Orientation matrices are orthogonal, their inverse is the transpose
+function invertOrientation([a, b, c, d]) {
+  return [a, c, b, d];
+}
+
+// Describe how a repost relates to the original, or null if it is an unedited copy.
+// The repost's variant `queryTransform` matched the original's variant `storedTransform`, so the
+// repost is the original turned by the stored orientation and back by the inverse of the query's.
+function describeImageMatch(queryTransform, storedTransform) {
+  const labels = [queryTransform, storedTransform]
+    .filter(transform => CONTENT_TRANSFORM_LABELS[transform])
+    .map(transform => CONTENT_TRANSFORM_LABELS[transform]);
+
+  const orientation = multiplyOrientations(
+    invertOrientation(ORIENTATIONS[queryTransform] || ORIENTATIONS.original),
+    ORIENTATIONS[storedTransform] || ORIENTATIONS.original
+  );
+  const orientationLabel = ORIENTATION_LABELS[orientation.join(',')];
+  if (orientationLabel) {
+    labels.push(orientationLabel);
+  }
+
+  const uniqueLabels = [...new Set(labels)];
+  return uniqueLabels.length > 0 ? uniqueLabels.join(', ') : null;
+}
+
+// Videos still match when one copy has this many more or fewer sampled frames at the start
+const VIDEO_MAX_FRAME_SHIFT = 5;
+// Share of overlapping keyframes that must be similar for two videos to match, and share of
+// the longer video's keyframes the overlap must cover
+const VIDEO_MATCH_RATIO = 0.7;
+
+// Compare two keyframe sequences, trying small offsets to tolerate trimmed copies.
+// A short clip doesn't match a long video that merely starts or ends with the same frames.
+function compareFrameSequences(frames1, frames2, frameThreshold) {
+  const minOverlap = Math.max(frames1.length, frames2.length) * VIDEO_MATCH_RATIO;
+  let best = null;
+
+  for (let offset = -VIDEO_MAX_FRAME_SHIFT; offset <= VIDEO_MAX_FRAME_SHIFT; offset++) {
+    let overlap = 0;
+    let matched = 0;
+    let totalDistance = 0;
+
+    for (let i = 0; i < frames1.length; i++) {
+      const j = i + offset;
+      if (j < 0 || j >= frames2.length) continue;
+
+      overlap++;
+      const distance = calculateHashDistance(frames1[i], frames2[j]);
+      if (distance <= frameThreshold) {
+        matched++;
+        totalDistance += distance;
+      }
+    }
+
+    if (overlap === 0 || overlap < minOverlap || matched / overlap < VIDEO_MATCH_RATIO) continue;
+
+    const averageDistance = totalDistance / matched;
+    if (!best || averageDistance < best.averageDistance) {
+      best = { averageDistance, matchRatio: matched / overlap };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  IMAGE_MEDIA_TYPES,
+  VIDEO_MEDIA_TYPES,
+  HASH_INDEX_SEGMENTS,
+  hashMedia,
+  calculateHashDistance,
+  getHashSegments,
+  getFingerprintSegments,
+  getImageVariants,
+  describeImageMatch,
+  compareFrameSequences
+};
@@ -0,0 +1,147 @@
+// Keys of the links and forwarded channel posts in a message, for duplicate detection.
+// Links are normalized so that the same post shared from different apps gets the same key.
+
+// Query parameters that only track where a link was shared from, on every site
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'yclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga', 'igshid', 'igsh',
+  'ref', 'ref_src', 'ref_url', 'share_id', 'spm', 'si'
+]);
+
+// Canonical domain of sites that are reachable under several names
+const DOMAIN_ALIASES = {
+  'x.com': 'twitter.com',
+  'fxtwitter.com': 'twitter.com',
+  'vxtwitter.com': 'twitter.com',
+  'fixupx.com': 'twitter.com',
+  'fixvx.com': 'twitter.com',
+  'nitter.net': 'twitter.com',
+  'old.reddit.com': 'reddit.com',
+  'new.reddit.com': 'reddit.com',
+  'np.reddit.com': 'reddit.com',
+  'rxddit.com': 'reddit.com',
+  'm.youtube.com': 'youtube.com',
+  'youtube-nocookie.com': 'youtube.com',
+  'instagr.am': 'instagram.com',
+  'ddinstagram.com': 'instagram.com'
+};
+
+// Per site: the parameters that identify the post, everything else is dropped,
+// and the path of the post once the parts that vary between shares are removed.
+// Parameters can also be given per path, other paths and links without any of the
+// path's parameters keep everything but the tracking parameters.
+const SITE_RULES = {
+  'twitter.com': {
+    params: [],
+    // /<user>/status/<id>/photo/1 and /i/web/status/<id> are the same tweet, whoever the user is
+    path: (path) => {
+      const status = path.match(/\/status(?:es)?\/(\d+)/);
+      return status ? `/i/status/${status[1]}` : path.toLowerCase();
+    }
+  },
+  'youtube.com': {
+    params: { '/watch': ['v'], '/playlist': ['list'], '/results': ['search_query'] },
+    path: (path, params) => {
+      const video = path.match(/^\/(?:shorts|live|embed|v)\/([\w-]+)/);
+      if (video) {
+        params.set('v', video[1]);
+        return '/watch';
+      }
+      return path;
+    }
+  },
+  'reddit.com': {
+    params: [],
+    // The subreddit and the title slug are optional, the post id is enough
+    path: (path) => {
+      const post = path.match(/\/comments\/(\w+)/);
+      return post ? `/comments/${post[1].toLowerCase()}` : path.toLowerCase();
+    }
+  },
+  'instagram.com': {
+    params: [],
+    // Reels are posts too, with or without the author's name in front
+    path: (path) => {
+      const post = path.match(/\/(?:p|reels?|tv)\/([\w-]+)/);
+      return post ? `/p/${post[1]}` : path;
+    }
+  }
+};
+
+// Short links whose target can be told from the link itself, resolved to the full link
+const SHORT_LINKS = {
+  'youtu.be': (path) => `https://youtube.com/watch?v=${path.slice(1).split('/')[0]}`,
+  'redd.it': (path) => `https://reddit.com/comments/${path.slice(1).split('/')[0]}`
+};
+
+// Normalize a link: lower-case domain without www, resolved short links, canonical domains and
+// paths, and no tracking parameters, fragments or trailing slashes.
+// Other short links are kept as they are. Returns null for anything that isn't an http(s) link.
+function normalizeUrl(text) {
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  let host = url.hostname.toLowerCase().replace(/^(www|mobile)\./, '').replace(/\.$/, '');
+  if (SHORT_LINKS[host] && url.pathname.length > 1) {
+    return normalizeUrl(SHORT_LINKS[host](url.pathname));
+  }
+  host = DOMAIN_ALIASES[host] || host;
+
+  const params = new URLSearchParams(url.search);
+  const rules = SITE_RULES[host];
+  let path = url.pathname.replace(/\/+$/, '') || '/';
+  if (rules) {
+    path = rules.path(path, params);
+  }
+
+  let siteParams = rules && (Array.isArray(rules.params) ? rules.params : rules.params[path]);
+  if (siteParams && !Array.isArray(rules.params) && !siteParams.some(name => params.has(name))) {
+    siteParams = null;
+  }
+
+  const kept = [...params.entries()]
+    .filter(([name]) => (siteParams ? siteParams.includes(name) : !TRACKING_PARAMS.has(name) && !name.startsWith('utm_')))
+    .sort(([name1, value1], [name2, value2]) => name1.localeCompare(name2) || value1.localeCompare(value2));
+  const query = kept.length > 0 ? `?${new URLSearchParams(kept)}` : '';
+
+  return `${host}${path === '/' ? '' : path}${query}`;
+}
+
+// Links of a text message or media caption: visible urls and links hidden behind text
+function extractUrls(msg) {
+  const text = msg.text || msg.caption || '';
+  return (msg.entities || msg.caption_entities || []).flatMap((entity) => {
+    if (entity.type === 'url') return [text.substr(entity.offset, entity.length)];
+    if (entity.type === 'text_link') return [entity.url];
+    return [];
+  });
+}
+
+// Duplicate keys of a message, each { key, kind } with kind 'forward' or 'link'.
+// Forwarded channel posts are keyed by the channel and post, links by their normalized form.
+function getMessageLinkKeys(msg) {
+  const keys = [];
+  const origin = msg.forward_origin;
+  if (origin && origin.type === 'channel') {
+    keys.push({ key: `forward:${origin.chat.id}:${origin.message_id}`, kind: 'forward' });
+  }
+
+  for (const url of extractUrls(msg)) {
+    const normalized = normalizeUrl(url);
+    if (normalized && !keys.some(({ key }) => key === `url:${normalized}`)) {
+      keys.push({ key: `url:${normalized}`, kind: 'link' });
+    }
+  }
+  return keys;
+}
+
+module.exports = {
+  normalizeUrl,
+  getMessageLinkKeys
+};
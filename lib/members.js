@@ -0,0 +1,220 @@
+// Joins and leaves from chat_member updates: the membership log, welcome messages and the
+// captcha that keeps new members muted until they press a button
+
+const { getBotRights, logModerationAction } = require('./moderation');
+
+// What a member may do once the captcha is solved, when the chat has no default permissions
+const FULL_PERMISSIONS = {
+  can_send_messages: true,
+  can_send_audios: true,
+  can_send_documents: true,
+  can_send_photos: true,
+  can_send_videos: true,
+  can_send_video_notes: true,
+  can_send_voice_notes: true,
+  can_send_polls: true,
+  can_send_other_messages: true,
+  can_add_web_page_previews: true
+};
+
+const NO_PERMISSIONS = Object.fromEntries(Object.keys(FULL_PERMISSIONS).map(permission => [permission, false]));
+
+// Whether a ChatMember is in the chat, members muted by a restriction included
+function isInChat(member) {
+  if (!member) return false;
+  if (member.status === 'restricted') return member.is_member === true;
+  return ['creator', 'administrator', 'member'].includes(member.status);
+}
+
+// Name of a user for plain text messages
+function getDisplayName(user) {
+  return user.username ? `@${user.username}` : [user.first_name, user.last_name].filter(Boolean).join(' ');
+}
+
+// The chat's welcome text for a user, {name} is replaced with the user's name
+function formatWelcome(settings, user) {
+  return settings.welcomeMessage.split('{name}').join(getDisplayName(user));
+}
+
+// Give a member the chat's default permissions back
+async function liftRestriction(bot, chatId, userId) {
+  const chat = await bot.getChat(chatId);
+  await bot.restrictChatMember(chatId, userId, { permissions: JSON.stringify(chat.permissions || FULL_PERMISSIONS) });
+}
+
+// Kick a member whose captcha ran out, unless it was solved in the meantime
+async function expireCaptcha(bot, storage, chatId, userId) {
+  const captcha = await storage.captchas.get(chatId, userId);
+  if (!captcha || !(await storage.captchas.resolve(chatId, userId, 'expired'))) {
+    return;
+  }
+
+  const entry = { chatId, userId, username: captcha.username, action: 'captcha_kick', performedBy: 'bot' };
+  try {
+    // A ban that is lifted right away removes the member without keeping them out
+    await bot.banChatMember(chatId, userId);
+    await bot.unbanChatMember(chatId, userId, { only_if_banned: true });
+    await logModerationAction(storage, { ...entry, success: true });
+  } catch (error) {
+    console.error(`Error removing ${userId} from ${chatId} after the captcha:`, error.message);
+    await logModerationAction(storage, { ...entry, success: false, error: error.message });
+  }
+
+  if (captcha.messageId) {
+    await bot.editMessageText(`❌ ${captcha.name} did not pass the captcha and was removed.`, {
+      chat_id: chatId,
+      message_id: captcha.messageId
+    }).catch(error => console.error('Error updating the captcha message:', error.message));
+  }
+}
+
+// Run expireCaptcha when the captcha's time is up
+function scheduleCaptchaExpiry(bot, storage, chatId, userId, expiresAt) {
+  const timer = setTimeout(() => {
+    expireCaptcha(bot, storage, chatId, userId)
+      .catch(error => console.error('Error expiring captcha:', error));
+  }, Math.max(0, new Date(expiresAt).getTime() - Date.now()));
+
+  // Pending captchas are scheduled again after a restart, the timer need not keep the process alive
+  timer.unref();
+}
+
+// Mute a new member and ask them to press the button within the chat's time limit.
+// Returns false if the bot can't restrict members or the captcha could not be started,
+// the welcome is sent without a captcha then.
+async function startCaptcha(bot, storage, chatId, user, settings) {
+  let rights;
+  try {
+    rights = await getBotRights(bot, chatId);
+  } catch (error) {
+    console.error('Error checking bot rights:', error.message);
+    return false;
+  }
+  if (!rights.canRestrict) {
+    return false;
+  }
+
+  try {
+    await bot.restrictChatMember(chatId, user.id, { permissions: JSON.stringify(NO_PERMISSIONS) });
+  } catch (error) {
+    console.error(`Error restricting ${user.id} in ${chatId} for the captcha:`, error.message);
+    return false;
+  }
+
+  const name = getDisplayName(user);
+  const intro = settings.welcomeEnabled ? `${formatWelcome(settings, user)}\n\n` : '';
+  const expiresAt = new Date(Date.now() + settings.captchaTimeoutSeconds * 1000);
+  let message = null;
+  try {
+    message = await bot.sendMessage(
+      chatId,
+      `${intro}🤖 ${name}, press the button within ${settings.captchaTimeoutSeconds} seconds to show you are human, ` +
+        'or you will be removed from the chat.',
+      {
+        reply_markup: {
+          inline_keyboard: [[{ text: '✅ I am human', callback_data: `captcha:${user.id}` }]]
+        }
+      }
+    );
+
+    await storage.captchas.start(chatId, user.id, {
+      username: user.username || null,
+      name,
+      messageId: message.message_id,
+      expiresAt,
+      startedAt: new Date()
+    });
+  } catch (error) {
+    // Without the message and the record nothing would ever lift the restriction
+    console.error(`Error starting the captcha of ${user.id} in ${chatId}:`, error.message);
+    await liftRestriction(bot, chatId, user.id);
+    if (message) {
+      await bot.deleteMessage(chatId, message.message_id)
+        .catch(deleteError => console.error('Error deleting the captcha message:', deleteError.message));
+    }
+    return false;
+  }
+
+  scheduleCaptchaExpiry(bot, storage, chatId, user.id, expiresAt);
+  return true;
+}
+
+// Record a chat_member update and greet or challenge members who joined.
+// Returns 'join', 'leave' or null for changes that are neither, like promotions.
+async function handleChatMemberUpdate(bot, storage, update, settings) {
+  const chatId = update.chat.id;
+  const user = update.new_chat_member.user;
+  const wasIn = isInChat(update.old_chat_member);
+  const isIn = isInChat(update.new_chat_member);
+
+  if (wasIn === isIn) {
+    return null;
+  }
+
+  const event = isIn ? 'join' : 'leave';
+  await storage.members.log({
+    chatId,
+    userId: user.id,
+    username: user.username || null,
+    firstName: user.first_name || null,
+    lastName: user.last_name || null,
+    event,
+    byUserId: update.from ? update.from.id : null,
+    timestamp: new Date()
+  });
+
+  if (event === 'leave') {
+    // Nothing left to solve for someone who is gone
+    await storage.captchas.resolve(chatId, user.id, 'left');
+    return event;
+  }
+
+  // Bots can't press buttons, admins add them on purpose
+  if (settings.captchaEnabled && !user.is_bot && await startCaptcha(bot, storage, chatId, user, settings)) {
+    return event;
+  }
+  if (settings.welcomeEnabled) {
+    await bot.sendMessage(chatId, formatWelcome(settings, user));
+  }
+  return event;
+}
+
+// Handle a press of the captcha button. Only the new member it was meant for can solve it.
+async function solveCaptcha(bot, storage, query, settings) {
+  const chatId = query.message.chat.id;
+  const userId = Number(query.data.split(':')[1]);
+
+  if (query.from.id !== userId) {
+    await bot.answerCallbackQuery(query.id, { text: 'This button is for the new member', show_alert: true });
+    return;
+  }
+  if (!(await storage.captchas.resolve(chatId, userId, 'solved'))) {
+    await bot.answerCallbackQuery(query.id, { text: 'This captcha is no longer active' });
+    return;
+  }
+
+  await liftRestriction(bot, chatId, userId);
+
+  const text = settings.welcomeEnabled
+    ? formatWelcome(settings, query.from)
+    : `✅ ${getDisplayName(query.from)} passed the captcha.`;
+  await bot.editMessageText(text, { chat_id: chatId, message_id: query.message.message_id });
+  await bot.answerCallbackQuery(query.id, { text: 'Welcome!' });
+}
+
+// Schedule the captchas that were pending when the bot stopped, expired ones run out right away
+async function resumeCaptchas(bot, storage) {
+  const pending = await storage.captchas.listPending();
+  for (const captcha of pending) {
+    scheduleCaptchaExpiry(bot, storage, captcha.chatId, captcha.userId, captcha.expiresAt);
+  }
+  if (pending.length > 0) {
+    console.log(`Resumed ${pending.length} pending captchas`);
+  }
+}
+
+module.exports = {
+  handleChatMemberUpdate,
+  solveCaptcha,
+  resumeCaptchas
+};
@@ -0,0 +1,128 @@
+// Escalating moderation of repeat duplicate posters, every action is logged to the moderation log
+
+// Record a moderation action in the audit collection
+async function logModerationAction(storage, entry) {
+  await storage.moderation.log({
+    ...entry,
+    timestamp: new Date()
+  });
+}
+
+// Duplicates a user posted within the strike window, not counting those before their last pardon
+async function countStrikes(storage, chatId, userId, windowHours) {
+  let since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+
+  const pardon = await storage.moderation.getPardon(chatId, userId);
+  if (pardon && pardon.pardonedAt > since) {
+    since = pardon.pardonedAt;
+  }
+
+  return storage.duplicates.countByUserSince(chatId, userId, since);
+}
+
+// The bot's own rights in a chat, as reported by /group_info
+async function getBotRights(bot, chatId) {
+  const botInfo = await bot.getMe();
+  const botMember = await bot.getChatMember(chatId, botInfo.id);
+  const isCreatorOrAdmin = botMember.status === 'creator' || botMember.status === 'administrator';
+
+  return {
+    canDelete: isCreatorOrAdmin && botMember.can_delete_messages !== false,
+    canRestrict: isCreatorOrAdmin && botMember.can_restrict_members !== false
+  };
+}
+
+// Apply the chat's escalation policy to a duplicate that was just tracked.
+// `messageIds` are the reposted messages to delete, several for an album.
+// `author` holds the poster's username, firstName and lastName.
+// Returns short notes describing what was done, for the duplicate reply.
+async function applyDuplicatePolicy(bot, storage, msg, author, settings, messageIds = [msg.message_id]) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const strikes = await countStrikes(storage, chatId, userId, settings.strikeWindowHours);
+  const notes = [`⚡ Strike ${strikes} in the last ${settings.strikeWindowHours}h`];
+  const baseEntry = { chatId, userId, ...author, strikes, messageId: msg.message_id, performedBy: 'bot' };
+
+  const shouldDelete = settings.deleteAfterStrikes > 0 && strikes >= settings.deleteAfterStrikes;
+  const shouldRestrict = settings.restrictAfterStrikes > 0 && strikes >= settings.restrictAfterStrikes;
+
+  // Every strike below the other steps is a warning, which is the duplicate reply itself
+  if (!shouldDelete && !shouldRestrict) {
+    await logModerationAction(storage, { ...baseEntry, action: 'warn', success: true });
+    return notes;
+  }
+
+  let rights;
+  try {
+    rights = await getBotRights(bot, chatId);
+  } catch (error) {
+    console.error('Error checking bot rights:', error.message);
+    rights = { canDelete: false, canRestrict: false };
+  }
+
+  if (shouldDelete) {
+    if (!rights.canDelete) {
+      await logModerationAction(storage, { ...baseEntry, action: 'delete', success: false, error: 'Bot cannot delete messages' });
+      notes.push('⚠️ Could not delete the repost: the bot needs the "Delete messages" admin right');
+    } else {
+      try {
+        for (const messageId of messageIds) {
+          await bot.deleteMessage(chatId, messageId);
+        }
+        await logModerationAction(storage, { ...baseEntry, action: 'delete', success: true });
+        notes.push(messageIds.length > 1 ? '🗑 The reposted items were deleted' : '🗑 The repost was deleted');
+      } catch (error) {
+        await logModerationAction(storage, { ...baseEntry, action: 'delete', success: false, error: error.message });
+        notes.push('⚠️ Could not delete the repost');
+      }
+    }
+  }
+
+  if (shouldRestrict) {
+    const until = new Date(Date.now() + settings.restrictMinutes * 60 * 1000);
+
+    if (!rights.canRestrict) {
+      await logModerationAction(storage, { ...baseEntry, action: 'restrict', until, success: false, error: 'Bot cannot restrict members' });
+      notes.push('⚠️ Could not restrict the poster: the bot needs the "Ban users" admin right');
+    } else {
+      try {
+        await bot.restrictChatMember(chatId, userId, {
+          permissions: JSON.stringify({
+            can_send_messages: false,
+            can_send_audios: false,
+            can_send_documents: false,
+            can_send_photos: false,
+            can_send_videos: false,
+            can_send_video_notes: false,
+            can_send_voice_notes: false,
+            can_send_polls: false,
+            can_send_other_messages: false,
+            can_add_web_page_previews: false
+          }),
+          until_date: Math.floor(until.getTime() / 1000)
+        });
+        await logModerationAction(storage, { ...baseEntry, action: 'restrict', until, success: true });
+        notes.push(`🔇 Muted for ${settings.restrictMinutes} minutes`);
+      } catch (error) {
+        await logModerationAction(storage, { ...baseEntry, action: 'restrict', until, success: false, error: error.message });
+        notes.push('⚠️ Could not restrict the poster');
+      }
+    }
+  }
+
+  return notes;
+}
+
+// Reset a user's strikes, duplicates posted before now no longer count towards the policy
+async function pardonUser(storage, chatId, userId, author, performedBy) {
+  await storage.moderation.setPardon(chatId, userId, { pardonedAt: new Date(), performedBy });
+  await logModerationAction(storage, { chatId, userId, ...author, action: 'pardon', performedBy, success: true });
+}
+
+module.exports = {
+  countStrikes,
+  getBotRights,
+  logModerationAction,
+  applyDuplicatePolicy,
+  pardonUser
+};
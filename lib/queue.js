@@ -0,0 +1,53 @@
+// Ordering and concurrency limits for update handling
+
+// Run tasks one at a time per key, in the order they were added. Tasks of different keys
+// run side by side. Returns a function that runs `task` once the earlier tasks of `key` are done.
+function createKeyedQueue() {
+  const tails = new Map();
+
+  return function enqueue(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+
+    // A failed task must not stop the ones after it
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+
+    return result;
+  };
+}
+
+// Run at most `limit` tasks at the same time, the others wait in line in order
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const startNext = () => {
+    if (active < limit && waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  return async function limited(task) {
+    await new Promise((resolve) => {
+      waiting.push(resolve);
+      startNext();
+    });
+
+    try {
+      return await task();
+    } finally {
+      active--;
+      startNext();
+    }
+  };
+}
+
+module.exports = {
+  createKeyedQueue,
+  createLimiter
+};
@@ -0,0 +1,271 @@
+// Replay of recorded Telegram updates for offline end-to-end runs, see scripts/replay.js.
+// The bot's API methods are replaced so nothing reaches Telegram: queries are answered from
+// the updates seen so far, and every outgoing call is captured into a transcript.
+// Randomness, time and record ids are fixed too, so the same updates give the same transcript.
+
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+// Identity of the bot while replaying
+const REPLAY_BOT = { id: 1, is_bot: true, first_name: 'Replay', username: 'replay_bot' };
+
+// Message ids of the bot's own messages start here, far from the recorded ones
+const FIRST_SENT_MESSAGE_ID = 1000000;
+
+// Small seeded generator, so random trigger responses come out the same on every replay
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Clock that stands still at the time it was last set to, real time until then.
+// Installed as the global Date, dates made with an explicit time are unchanged.
+function installClock() {
+  const RealDate = Date;
+  let now = null;
+  const currentTime = () => (now === null ? RealDate.now() : now);
+
+  function ReplayDate(...args) {
+    if (!new.target) {
+      return new RealDate(currentTime()).toString();
+    }
+    return args.length > 0 ? new RealDate(...args) : new RealDate(currentTime());
+  }
+  ReplayDate.prototype = RealDate.prototype;
+  ReplayDate.now = currentTime;
+  ReplayDate.parse = RealDate.parse;
+  ReplayDate.UTC = RealDate.UTC;
+  global.Date = ReplayDate;
+
+  return {
+    // Move to a time in milliseconds, the clock never goes back
+    set(time) {
+      if (now === null || time > now) now = time;
+    }
+  };
+}
+
+// Time an update was sent in milliseconds, null for updates without a date like callback queries
+function getUpdateTime(update) {
+  const source = update.message || update.edited_message || update.message_reaction ||
+    update.message_reaction_count || update.chat_member;
+  if (!source || !source.date) {
+    return null;
+  }
+  return (source.edit_date || source.date) * 1000;
+}
+
+// Number record ids from 1 in the order they are made, so later updates can refer to them,
+// like the feedback buttons of a duplicate report
+function installIdCounter() {
+  let nextId = 1;
+  ObjectId.generate = () => {
+    const id = Buffer.alloc(12);
+    id.writeUInt32BE(nextId++, 8);
+    return id;
+  };
+}
+
+// Read a JSONL file of updates, one update per line, blank lines allowed
+function readUpdates(updatesPath) {
+  return fs.readFileSync(updatesPath, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${number} of ${updatesPath} is not valid JSON: ${error.message}`);
+      }
+    });
+}
+
+// Binary payloads are left out of the transcript so it stays readable and stable
+function describePayload(payload) {
+  if (Buffer.isBuffer(payload)) return '<buffer>';
+  if (payload && typeof payload.pipe === 'function') return '<stream>';
+  return payload;
+}
+
+// Prepare `bot` for replay. Must run before the handlers are registered, since it wraps bot.on
+// to know when the handlers of an update are done.
+//   options: { fixturesDir, admins: [userId], seed }
+function createReplay(bot, { fixturesDir = '.', admins = [], seed = 1 } = {}) {
+  const transcript = [];
+  const chats = new Map();
+  const users = new Map();
+  const pending = new Set();
+  const background = new Set();
+  const adminIds = new Set(admins.map(Number));
+  let currentUpdateId = null;
+  let nextMessageId = FIRST_SENT_MESSAGE_ID;
+
+  Math.random = createRandom(seed);
+  const clock = installClock();
+  installIdCounter();
+
+  const record = (method, fields) => {
+    transcript.push({ updateId: currentUpdateId, method, ...fields });
+  };
+
+  const getChat = (chatId) => chats.get(Number(chatId)) || {
+    id: Number(chatId),
+    type: Number(chatId) < 0 ? 'supergroup' : 'private'
+  };
+
+  const sentMessage = (chatId, fields) => ({
+    message_id: nextMessageId++,
+    from: REPLAY_BOT,
+    chat: getChat(chatId),
+    date: Math.floor(Date.now() / 1000),
+    ...fields
+  });
+
+  // Keep the chats and users of an update for getChat and getChatMember
+  const remember = (update) => {
+    const message = update.message || update.edited_message ||
+      (update.callback_query && update.callback_query.message);
+    const sources = [
+      message,
+      update.callback_query,
+      update.message_reaction,
+      update.message_reaction_count,
+      update.chat_member
+    ].filter(Boolean);
+
+    for (const source of sources) {
+      if (source.chat) chats.set(source.chat.id, source.chat);
+      if (source.from) users.set(source.from.id, source.from);
+      if (source.user) users.set(source.user.id, source.user);
+    }
+  };
+
+  // Handlers are async, keep their promises so the next update waits for them
+  const on = bot.on.bind(bot);
+  bot.on = (event, listener) => on(event, (...args) => {
+    const result = Promise.resolve()
+      .then(() => listener(...args))
+      .catch(error => record('error', { event, message: error.message }))
+      .finally(() => pending.delete(result));
+    pending.add(result);
+  });
+
+  // Anything not replaced below would go to Telegram
+  bot._request = (method) => Promise.reject(new Error(`${method} is not available in replay mode`));
+
+  bot.getMe = async () => REPLAY_BOT;
+
+  bot.getChat = async (chatId) => getChat(chatId);
+
+  bot.getChatMember = async (chatId, userId) => {
+    const id = Number(userId);
+    if (id === REPLAY_BOT.id) {
+      return { user: REPLAY_BOT, status: 'administrator', can_delete_messages: true, can_restrict_members: true };
+    }
+    return {
+      user: users.get(id) || { id, is_bot: false, first_name: String(id) },
+      status: adminIds.has(id) ? 'administrator' : 'member'
+    };
+  };
+
+  // The file path is the file id, downloads read it from the fixture directory
+  bot.getFile = async (fileId) => ({ file_id: fileId, file_unique_id: fileId, file_path: fileId });
+
+  bot.sendMessage = async (chatId, text, options = {}) => {
+    record('sendMessage', { chatId: Number(chatId), text, options });
+    return sentMessage(chatId, { text });
+  };
+
+  bot.sendPhoto = async (chatId, photo, options = {}) => {
+    record('sendPhoto', { chatId: Number(chatId), photo: describePayload(photo), options });
+    return sentMessage(chatId, { caption: options.caption });
+  };
+
+  bot.editMessageText = async (text, options = {}) => {
+    record('editMessageText', { text, options });
+    return true;
+  };
+
+  bot.deleteMessage = async (chatId, messageId) => {
+    record('deleteMessage', { chatId: Number(chatId), messageId: Number(messageId) });
+    return true;
+  };
+
+  bot.restrictChatMember = async (chatId, userId, options = {}) => {
+    record('restrictChatMember', { chatId: Number(chatId), userId: Number(userId), options });
+    return true;
+  };
+
+  bot.banChatMember = async (chatId, userId, options = {}) => {
+    record('banChatMember', { chatId: Number(chatId), userId: Number(userId), options });
+    return true;
+  };
+
+  bot.unbanChatMember = async (chatId, userId, options = {}) => {
+    record('unbanChatMember', { chatId: Number(chatId), userId: Number(userId), options });
+    return true;
+  };
+
+  bot.answerCallbackQuery = async (callbackQueryId, options = {}) => {
+    record('answerCallbackQuery', { callbackQueryId, options });
+    return true;
+  };
+
+  // Contents of a fixture file, as downloaded from Telegram
+  const downloadFile = (filePath) => {
+    // File ids come from the recording, keep them inside the fixture directory
+    const fixturePath = path.join(fixturesDir, path.basename(filePath));
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No fixture for file ${filePath} in ${fixturesDir}`);
+    }
+    return fs.readFileSync(fixturePath);
+  };
+
+  // Work the bot finishes later, like albums that are checked once complete.
+  // The replay waits for it before it ends, but not between updates.
+  const track = (promise) => {
+    const tracked = Promise.resolve(promise)
+      .catch(error => record('error', { message: error.message }))
+      .finally(() => background.delete(tracked));
+    background.add(tracked);
+  };
+
+  // Feed every update of the file through the bot, one at a time. Returns the transcript.
+  const run = async (updatesPath) => {
+    for (const update of readUpdates(updatesPath)) {
+      currentUpdateId = update.update_id !== undefined ? update.update_id : null;
+      const time = getUpdateTime(update);
+      if (time !== null) {
+        clock.set(time);
+      }
+      remember(update);
+      bot.processUpdate(update);
+
+      // Handlers may emit further events, wait until all of them are done
+      while (pending.size > 0) {
+        await Promise.all([...pending]);
+      }
+    }
+
+    currentUpdateId = null;
+    while (pending.size > 0 || background.size > 0) {
+      await Promise.all([...pending, ...background]);
+    }
+    return transcript;
+  };
+
+  return { downloadFile, run, track, transcript };
+}
+
+module.exports = {
+  REPLAY_BOT,
+  createReplay
+};
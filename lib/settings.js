@@ -0,0 +1,296 @@
+// Per-chat settings kept in the settings storage
+
+const { GENERAL_TOPIC_ID } = require('./topics');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Every setting with its default and validation rules, in the order /settings shows them
+const SETTINGS_SCHEMA = {
+  similarityThreshold: {
+    label: 'Duplicate similarity threshold',
+    type: 'number',
+    default: 5,
+    min: 0,
+    max: 16,
+    step: 1
+  },
+  reminderThreshold: {
+    label: 'Meme reminder after text messages (0 = off)',
+    type: 'number',
+    default: 50,
+    min: 0,
+    max: 1000,
+    step: 10
+  },
+  reminderMessage: {
+    label: 'Meme reminder text',
+    type: 'string',
+    default: 'Что-то вы раскудахтались, где мемасы, петушки?',
+    maxLength: 500
+  },
+  moderationEnabled: {
+    label: 'Moderate repeat duplicate posters',
+    type: 'boolean',
+    default: false
+  },
+  strikeWindowHours: {
+    label: 'Duplicate strike window (hours)',
+    type: 'number',
+    default: 24,
+    min: 1,
+    max: 720,
+    step: 6
+  },
+  deleteAfterStrikes: {
+    label: 'Delete reposts from strike (0 = off)',
+    type: 'number',
+    default: 2,
+    min: 0,
+    max: 20,
+    step: 1
+  },
+  restrictAfterStrikes: {
+    label: 'Restrict poster from strike (0 = off)',
+    type: 'number',
+    default: 3,
+    min: 0,
+    max: 50,
+    step: 1
+  },
+  restrictMinutes: {
+    label: 'Restriction length (minutes)',
+    type: 'number',
+    default: 60,
+    min: 15,
+    max: 10080,
+    step: 15
+  },
+  welcomeEnabled: {
+    label: 'Welcome new members',
+    type: 'boolean',
+    default: false
+  },
+  welcomeMessage: {
+    label: 'Welcome text ({name} is the new member)',
+    type: 'string',
+    default: 'Welcome, {name}! Post memes, not reposts.',
+    maxLength: 500
+  },
+  captchaEnabled: {
+    label: 'Captcha for new members',
+    type: 'boolean',
+    default: false
+  },
+  captchaTimeoutSeconds: {
+    label: 'Captcha time limit (seconds)',
+    type: 'number',
+    default: 120,
+    min: 30,
+    max: 3600,
+    step: 30
+  },
+  duplicateTopics: {
+    label: 'Duplicate detection topics',
+    type: 'topics',
+    default: null
+  },
+  copypastaEnabled: {
+    label: 'Detect reposted long texts',
+    type: 'boolean',
+    default: false
+  },
+  copypastaMinLength: {
+    label: 'Shortest text checked for reposts (characters)',
+    type: 'number',
+    default: 200,
+    min: 50,
+    max: 4000,
+    step: 50
+  },
+  triggersEnabled: {
+    label: 'Auto-reply triggers',
+    type: 'boolean',
+    default: true
+  },
+  triggerTopics: {
+    label: 'Auto-reply trigger topics',
+    type: 'topics',
+    default: null
+  },
+  statsEnabled: {
+    label: 'Weekly statistics post',
+    type: 'boolean',
+    default: true
+  },
+  statsDay: {
+    label: 'Statistics day',
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 6,
+    step: 1,
+    wrap: true,
+    format: value => DAY_NAMES[value]
+  },
+  statsHour: {
+    label: 'Statistics hour',
+    type: 'number',
+    default: 12,
+    min: 0,
+    max: 23,
+    step: 1,
+    wrap: true,
+    format: value => `${value.toString().padStart(2, '0')}:00`
+  }
+};
+
+// Default values of all settings
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = definition.default;
+  }
+  return defaults;
+}
+
+// Validate a setting value, converting text input from commands. Throws on invalid values.
+function validateSetting(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+
+  if (definition.type === 'number') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(number) || number < definition.min || number > definition.max) {
+      throw new Error(`${definition.label} must be a whole number from ${definition.min} to ${definition.max}`);
+    }
+    return number;
+  }
+
+  if (definition.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['on', 'true', 'yes', '1'].includes(text)) return true;
+    if (['off', 'false', 'no', '0'].includes(text)) return false;
+    throw new Error(`${definition.label} must be on or off`);
+  }
+
+  if (definition.type === 'topics') {
+    // null is every topic, otherwise the thread ids of the chosen forum topics
+    if (value === null) return null;
+    const parts = Array.isArray(value)
+      ? value
+      : String(value).trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 1 && parts[0] === 'all') return null;
+    if (parts.length === 1 && parts[0] === 'none') return [];
+
+    const topicIds = parts.map(part => (part === 'general' ? GENERAL_TOPIC_ID : Number(part)));
+    if (topicIds.some(topicId => !Number.isSafeInteger(topicId) || topicId < 1)) {
+      throw new Error(`${definition.label} must be all, none or topic ids like "general, 42"`);
+    }
+    return [...new Set(topicIds)].sort((a, b) => a - b);
+  }
+
+  const text = String(value).trim();
+  if (!text || text.length > definition.maxLength) {
+    throw new Error(`${definition.label} must be between 1 and ${definition.maxLength} characters`);
+  }
+  return text;
+}
+
+// Get a chat's settings, falling back to the default for anything missing or invalid
+async function getChatSettings(storage, chatId) {
+  const stored = await storage.settings.get(chatId);
+  const settings = getDefaultSettings();
+
+  if (stored) {
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+      if (stored[key] === undefined) continue;
+      try {
+        settings[key] = validateSetting(key, stored[key]);
+      } catch (error) {
+        console.error(`Ignoring invalid setting ${key} for chat ${chatId}: ${error.message}`);
+      }
+    }
+  }
+
+  return settings;
+}
+
+// Validate and store a single setting, returning the stored value
+async function updateChatSetting(storage, chatId, key, value, updatedBy) {
+  const validated = validateSetting(key, value);
+  await storage.settings.set(chatId, { [key]: validated, updatedBy, updatedAt: new Date() });
+  return validated;
+}
+
+// Remove all stored settings of a chat so that the defaults apply again
+async function resetChatSettings(storage, chatId, updatedBy) {
+  await storage.settings.unset(chatId, Object.keys(SETTINGS_SCHEMA), { updatedBy, updatedAt: new Date() });
+}
+
+// Next value of a number setting when pressing one of its step buttons
+function stepSetting(key, value, direction) {
+  const definition = SETTINGS_SCHEMA[key];
+  const next = value + direction * definition.step;
+
+  if (definition.wrap) {
+    const range = definition.max - definition.min + 1;
+    return definition.min + ((next - definition.min) % range + range) % range;
+  }
+  return Math.min(definition.max, Math.max(definition.min, next));
+}
+
+// Display form of a setting value (HTML escaped by the caller)
+function formatSettingValue(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (definition.format) return definition.format(value);
+  if (definition.type === 'boolean') return value ? 'on' : 'off';
+  if (definition.type === 'topics') {
+    if (value === null) return 'all topics';
+    if (value.length === 0) return 'no topics';
+    return value.map(topicId => (topicId === GENERAL_TOPIC_ID ? 'general' : topicId)).join(', ');
+  }
+  return String(value);
+}
+
+// Inline keyboard of /settings: one row per setting, number settings get step buttons
+function buildSettingsKeyboard(settings) {
+  const rows = [];
+
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    const value = settings[key];
+
+    if (definition.type === 'number') {
+      rows.push([
+        { text: '➖', callback_data: `settings:dec:${key}` },
+        { text: `${definition.label}: ${formatSettingValue(key, value)}`, callback_data: `settings:show:${key}` },
+        { text: '➕', callback_data: `settings:inc:${key}` }
+      ]);
+    } else if (definition.type === 'boolean') {
+      rows.push([
+        { text: `${value ? '✅' : '❌'} ${definition.label}`, callback_data: `settings:toggle:${key}` }
+      ]);
+    } else {
+      rows.push([
+        { text: `✏️ ${definition.label}`, callback_data: `settings:show:${key}` }
+      ]);
+    }
+  }
+
+  rows.push([{ text: '↩️ Reset to defaults', callback_data: 'settings:reset' }]);
+  return { inline_keyboard: rows };
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  getDefaultSettings,
+  validateSetting,
+  getChatSettings,
+  updateChatSetting,
+  resetChatSettings,
+  stepSetting,
+  formatSettingValue,
+  buildSettingsKeyboard
+};
@@ -0,0 +1,25 @@
+// Storage backends: MongoDB, or memory with STORAGE=memory for local runs and tests
+
+const { createMongoStorage } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+
+const DB_NAME = 'duplicate_detector';
+
+// Create the storage configured by the environment
+function createStorage({ defaultChatId = null } = {}) {
+  if (process.env.STORAGE === 'memory') {
+    return createMemoryStorage();
+  }
+
+  const uri = process.env.MONGODB_URI || process.env.DATABASE_URL; // Railway provides DATABASE_URL for MongoDB
+  if (!uri) {
+    throw new Error('Set MONGODB_URI or DATABASE_URL, or STORAGE=memory to run without a database');
+  }
+  return createMongoStorage({ uri, dbName: DB_NAME, defaultChatId });
+}
+
+module.exports = {
+  createStorage,
+  createMongoStorage,
+  createMemoryStorage
+};
@@ -0,0 +1,743 @@
+// In-memory storage backend with the same interface as the MongoDB one, for running the bot
+// locally and for tests. Nothing survives a restart.
+
+const { ObjectId } = require('mongodb');
+const { IMAGE_MEDIA_TYPES, VIDEO_MEDIA_TYPES } = require('../fingerprint');
+
+// Webhook update ids are remembered this long, like the TTL index of the MongoDB backend
+const PROCESSED_UPDATES_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Records are copied in and out so that callers can't change stored data by accident
+function copy(record) {
+  return record ? { ...record } : null;
+}
+
+function sameId(id1, id2) {
+  return String(id1) === String(id2);
+}
+
+function isSince(record, since) {
+  return !since || record.timestamp >= since;
+}
+
+// Keep only the given fields of a record (and its _id)
+function pick(record, fields) {
+  const picked = { _id: record._id };
+  for (const field of fields) {
+    if (record[field] !== undefined) picked[field] = record[field];
+  }
+  return picked;
+}
+
+function withoutFingerprint({ hash, hashSegments, hashVariants, frameHashes, ...record }) {
+  return record;
+}
+
+// Hour of the day of a date in a time zone
+function getHour(date, timezone) {
+  const hour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone })
+    .format(date);
+  return parseInt(hour, 10);
+}
+
+function countByHour(records, chatId, userId, timezone) {
+  const hourCounts = new Array(24).fill(0);
+  for (const record of records) {
+    if (record.chatId === chatId && record.userId === userId) {
+      hourCounts[getHour(record.timestamp, timezone)]++;
+    }
+  }
+  return hourCounts;
+}
+
+function summarizeByUser(records, chatId, byMediaType) {
+  const groups = new Map();
+  const sorted = records
+    .filter(record => record.chatId === chatId && record.userId !== null && record.userId !== undefined)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const albums = new Set();
+  for (const record of sorted) {
+    // The items of an album count as one message, of the type of its first item
+    if (record.mediaGroupId) {
+      const albumKey = `${record.userId}:${record.mediaGroupId}`;
+      if (albums.has(albumKey)) continue;
+      albums.add(albumKey);
+    }
+
+    const key = byMediaType ? `${record.userId}:${record.mediaType}` : String(record.userId);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        userId: record.userId,
+        ...(byMediaType ? { mediaType: record.mediaType } : {}),
+        count: 0,
+        first: record.timestamp,
+        last: record.timestamp
+      });
+    }
+    const group = groups.get(key);
+    group.count++;
+    group.last = record.timestamp;
+    group.username = record.username;
+    group.firstName = record.firstName;
+    group.lastName = record.lastName;
+  }
+  return [...groups.values()];
+}
+
+// Create an empty in-memory storage
+function createMemoryStorage() {
+  const data = {
+    media: [],
+    textMessages: [],
+    userStats: [],
+    duplicates: [],
+    messageReactions: [],
+    userReactions: [],
+    chatSettings: [],
+    triggers: [],
+    triggerSeeds: new Set(),
+    moderationLog: [],
+    moderationPardons: [],
+    duplicateAllowlist: [],
+    duplicateReports: [],
+    historyImports: [],
+    memberEvents: [],
+    captchas: [],
+    forumTopics: [],
+    postedLinks: [],
+    textFingerprints: [],
+    processedUpdates: new Map()
+  };
+
+  const insert = (list, record) => {
+    const stored = { _id: new ObjectId(), ...record };
+    list.push(stored);
+    return stored._id;
+  };
+
+  // The userStats record of a user, created empty when missing
+  const upsertUserStats = (chatId, userId) => {
+    let stats = data.userStats.find(record => record.chatId === chatId && record.userId === userId);
+    if (!stats) {
+      stats = { _id: new ObjectId(), chatId, userId };
+      data.userStats.push(stats);
+    }
+    return stats;
+  };
+
+  const findMessageReactions = (chatId, messageId) => data.messageReactions.find(record => (
+    record.chatId === chatId.toString() && record.messageId === messageId.toString()
+  ));
+
+  const findUserReactionIndex = (chatId, messageId, reactorId) => data.userReactions.findIndex(record => (
+    record.chatId === chatId.toString() && record.messageId === messageId.toString() && record.reactorId === reactorId
+  ));
+
+  const media = {
+    async insert(record) {
+      if (data.media.some(stored => stored.chatId === record.chatId && stored.originalMessageId === record.originalMessageId)) {
+        return null;
+      }
+      return insert(data.media, record);
+    },
+
+    async findByMessage(chatId, messageId) {
+      return copy(data.media.find(record => record.chatId === chatId && record.originalMessageId === messageId));
+    },
+
+    async findExact(chatId, hash) {
+      return data.media.filter(record => record.chatId === chatId && record.hash === hash).map(copy);
+    },
+
+    async findImageCandidates(chatId, segments) {
+      const wanted = segments ? new Set(segments) : null;
+      return data.media
+        .filter(record => (
+          record.chatId === chatId &&
+          IMAGE_MEDIA_TYPES.includes(record.mediaType) &&
+          (!wanted || (record.hashSegments || []).some(segment => wanted.has(segment)))
+        ))
+        .map(copy);
+    },
+
+    async findVideoCandidates(chatId, segments) {
+      const wanted = segments ? new Set(segments) : null;
+      return data.media
+        .filter(record => (
+          record.chatId === chatId &&
+          VIDEO_MEDIA_TYPES.includes(record.mediaType) &&
+          record.frameHashes &&
+          (!wanted || (record.hashSegments || []).some(segment => wanted.has(segment)))
+        ))
+        .map(copy);
+    },
+
+    async listSince(chatId, since) {
+      return data.media
+        .filter(record => record.chatId === chatId && isSince(record, since))
+        .map(record => pick(record, ['userId', 'username', 'firstName', 'lastName', 'mediaType', 'mediaGroupId', 'topicId', 'timestamp']));
+    },
+
+    async list(chatId, { userId, mediaType, skip = 0, limit = 20 } = {}) {
+      const matching = data.media
+        .filter(record => (
+          record.chatId === chatId &&
+          (userId === undefined || record.userId === userId) &&
+          (mediaType === undefined || record.mediaType === mediaType)
+        ))
+        .sort((a, b) => b.timestamp - a.timestamp);
+      return {
+        items: matching.slice(skip, skip + limit).map(withoutFingerprint),
+        total: matching.length
+      };
+    },
+
+    async countByUserSince(chatId, userId, since) {
+      const posts = data.media
+        .filter(record => record.chatId === chatId && record.userId === userId && isSince(record, since))
+        .map(record => record.mediaGroupId || String(record._id));
+      return new Set(posts).size;
+    },
+
+    async countByHour(chatId, userId, timezone) {
+      return countByHour(data.media, chatId, userId, timezone);
+    },
+
+    async summarizeByUser(chatId) {
+      return summarizeByUser(data.media, chatId, true);
+    },
+
+    async findReacted(chatId, { since, userId } = {}) {
+      const reacted = [];
+      for (const record of data.media) {
+        if (record.chatId !== chatId || !isSince(record, since)) continue;
+        if (userId !== undefined && record.userId !== userId) continue;
+
+        const reactionData = findMessageReactions(chatId, record.originalMessageId);
+        if (reactionData && reactionData.totalReactions > 0) {
+          reacted.push({ ...withoutFingerprint(record), hash: record.hash, reactionData: copy(reactionData) });
+        }
+      }
+      return reacted.sort((a, b) => (
+        b.reactionData.totalReactions - a.reactionData.totalReactions || a.timestamp - b.timestamp
+      ));
+    },
+
+    async distinctChatIds() {
+      return [...new Set(data.media.map(record => record.chatId))];
+    }
+  };
+
+  const textMessages = {
+    async insert(record) {
+      return insert(data.textMessages, record);
+    },
+
+    async findByMessage(chatId, messageId) {
+      return copy(data.textMessages.find(record => record.chatId === chatId && record.messageId === messageId));
+    },
+
+    async listSince(chatId, since) {
+      return data.textMessages
+        .filter(record => record.chatId === chatId && isSince(record, since))
+        .map(record => pick(record, ['userId', 'username', 'firstName', 'lastName', 'topicId', 'timestamp']));
+    },
+
+    async countByUserSince(chatId, userId, since) {
+      return data.textMessages.filter(record => (
+        record.chatId === chatId && record.userId === userId && isSince(record, since)
+      )).length;
+    },
+
+    async countByHour(chatId, userId, timezone) {
+      return countByHour(data.textMessages, chatId, userId, timezone);
+    },
+
+    async summarizeByUser(chatId) {
+      return summarizeByUser(data.textMessages, chatId, false);
+    }
+  };
+
+  const userStats = {
+    async get(chatId, userId) {
+      return copy(data.userStats.find(record => record.chatId === chatId && record.userId === userId));
+    },
+
+    async findByUsername(chatId, username) {
+      return copy(data.userStats.find(record => record.chatId === chatId && record.username === username));
+    },
+
+    async recordMessage(chatId, userId, author, mediaType) {
+      const stats = upsertUserStats(chatId, userId);
+      if (stats.totalMessages === undefined && stats.firstSeen === undefined) {
+        Object.assign(stats, {
+          photoCount: 0,
+          videoCount: 0,
+          documentCount: 0,
+          animationCount: 0,
+          textCount: 0,
+          duplicatesPosted: stats.duplicatesPosted || 0,
+          totalMessages: 0,
+          firstSeen: new Date()
+        });
+      }
+      stats[`${mediaType}Count`] = (stats[`${mediaType}Count`] || 0) + 1;
+      stats.totalMessages = (stats.totalMessages || 0) + 1;
+      Object.assign(stats, author);
+      stats.lastActive = new Date();
+    },
+
+    async addDuplicate(chatId, userId, author) {
+      const stats = upsertUserStats(chatId, userId);
+      stats.duplicatesPosted = (stats.duplicatesPosted || 0) + 1;
+      Object.assign(stats, author);
+      stats.lastActive = new Date();
+    },
+
+    async removeDuplicate(chatId, userId) {
+      const stats = data.userStats.find(record => record.chatId === chatId && record.userId === userId);
+      if (stats) {
+        stats.duplicatesPosted = (stats.duplicatesPosted || 0) - 1;
+      }
+    },
+
+    async addReactions(chatId, userId, field, change, author) {
+      const stats = upsertUserStats(chatId, userId);
+      stats[field] = (stats[field] || 0) + change;
+      if (author) {
+        Object.assign(stats, author);
+      }
+    },
+
+    async getRank(chatId, totalMessages) {
+      const chatStats = data.userStats.filter(record => record.chatId === chatId);
+      const rank = chatStats.filter(record => record.totalMessages > totalMessages).length + 1;
+      const userCount = chatStats.filter(record => record.totalMessages > 0).length;
+      return { rank, userCount: Math.max(userCount, rank) };
+    },
+
+    async getChatIds(userId, chatId) {
+      return [...new Set(data.userStats
+        .filter(record => record.userId === userId && record.chatId !== undefined)
+        .filter(record => chatId === undefined || record.chatId === chatId)
+        .map(record => record.chatId))];
+    },
+
+    async summarizeChats() {
+      const chats = new Map();
+      for (const record of data.userStats) {
+        if (!chats.has(record.chatId)) {
+          chats.set(record.chatId, { chatId: record.chatId, users: 0, totalMessages: 0, duplicatesPosted: 0, lastActive: null });
+        }
+        const chat = chats.get(record.chatId);
+        chat.users++;
+        chat.totalMessages += record.totalMessages || 0;
+        chat.duplicatesPosted += record.duplicatesPosted || 0;
+        if (record.lastActive && (!chat.lastActive || record.lastActive > chat.lastActive)) {
+          chat.lastActive = record.lastActive;
+        }
+      }
+      return [...chats.values()].sort((a, b) => (b.lastActive || 0) - (a.lastActive || 0));
+    },
+
+    async setCounts(chatId, userId, { username, firstName, lastName, firstSeen, lastActive, ...counts }) {
+      const isNew = !data.userStats.some(record => record.chatId === chatId && record.userId === userId);
+      const stats = upsertUserStats(chatId, userId);
+      if (isNew) {
+        Object.assign(stats, { username, firstName, lastName, duplicatesPosted: 0 });
+      }
+      Object.assign(stats, counts);
+      if (!stats.firstSeen || firstSeen < stats.firstSeen) stats.firstSeen = firstSeen;
+      if (!stats.lastActive || lastActive > stats.lastActive) stats.lastActive = lastActive;
+    }
+  };
+
+  const duplicates = {
+    async insert(record) {
+      return insert(data.duplicates, record);
+    },
+
+    async delete(id) {
+      const index = data.duplicates.findIndex(record => sameId(record._id, id));
+      if (index === -1) return false;
+      data.duplicates.splice(index, 1);
+      return true;
+    },
+
+    async listSince(chatId, since) {
+      return data.duplicates.filter(record => record.chatId === chatId && isSince(record, since)).map(copy);
+    },
+
+    async countByUserSince(chatId, userId, since) {
+      return data.duplicates.filter(record => (
+        record.chatId === chatId && record.userId === userId && isSince(record, since)
+      )).length;
+    }
+  };
+
+  const reactions = {
+    async getMessage(chatId, messageId) {
+      return copy(findMessageReactions(chatId, messageId));
+    },
+
+    async saveMessage(chatId, messageId, fields) {
+      let record = findMessageReactions(chatId, messageId);
+      if (!record) {
+        record = { _id: new ObjectId(), chatId: chatId.toString(), messageId: messageId.toString() };
+        data.messageReactions.push(record);
+      }
+      Object.assign(record, fields);
+    },
+
+    async countMessages() {
+      return data.messageReactions.length;
+    },
+
+    async listRecentMessages(limit) {
+      return [...data.messageReactions]
+        .sort((a, b) => b.lastUpdated - a.lastUpdated)
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async getUserReaction(chatId, messageId, reactorId) {
+      return copy(data.userReactions[findUserReactionIndex(chatId, messageId, reactorId)]);
+    },
+
+    async saveUserReaction(chatId, messageId, reactorId, fields) {
+      let record = data.userReactions[findUserReactionIndex(chatId, messageId, reactorId)];
+      if (!record) {
+        record = { _id: new ObjectId(), chatId: chatId.toString(), messageId: messageId.toString(), reactorId };
+        data.userReactions.push(record);
+      }
+      Object.assign(record, fields);
+    },
+
+    async deleteUserReaction(chatId, messageId, reactorId) {
+      const index = findUserReactionIndex(chatId, messageId, reactorId);
+      if (index !== -1) {
+        data.userReactions.splice(index, 1);
+      }
+    },
+
+    async countUserReactions(chatId, messageId) {
+      const counts = new Map();
+      for (const record of data.userReactions) {
+        if (record.chatId !== chatId.toString() || record.messageId !== messageId.toString()) continue;
+        for (const reaction of record.reactions) {
+          if (!counts.has(reaction.key)) {
+            counts.set(reaction.key, { type: reaction.type, total_count: 0 });
+          }
+          counts.get(reaction.key).total_count++;
+        }
+      }
+      return [...counts.values()].sort((a, b) => b.total_count - a.total_count);
+    }
+  };
+
+  const settings = {
+    async get(chatId) {
+      return copy(data.chatSettings.find(record => record.chatId === chatId));
+    },
+
+    async set(chatId, fields) {
+      let record = data.chatSettings.find(stored => stored.chatId === chatId);
+      if (!record) {
+        record = { _id: new ObjectId(), chatId };
+        data.chatSettings.push(record);
+      }
+      Object.assign(record, fields);
+    },
+
+    async unset(chatId, keys, fields) {
+      const record = data.chatSettings.find(stored => stored.chatId === chatId);
+      if (!record) return;
+      for (const key of keys) {
+        delete record[key];
+      }
+      Object.assign(record, fields);
+    }
+  };
+
+  const triggers = {
+    async list(chatId) {
+      return data.triggers
+        .filter(trigger => trigger.chatId === chatId)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(copy);
+    },
+
+    async insert(trigger) {
+      return insert(data.triggers, trigger);
+    },
+
+    async insertMany(list) {
+      for (const trigger of list) {
+        insert(data.triggers, trigger);
+      }
+    },
+
+    async delete(id) {
+      const index = data.triggers.findIndex(trigger => sameId(trigger._id, id));
+      if (index !== -1) {
+        data.triggers.splice(index, 1);
+      }
+    },
+
+    async claimCooldown(id, now, cooldownStart) {
+      const trigger = data.triggers.find(stored => sameId(stored._id, id));
+      if (!trigger || (trigger.lastFiredAt && trigger.lastFiredAt > cooldownStart)) {
+        return false;
+      }
+      trigger.lastFiredAt = now;
+      return true;
+    },
+
+    async claimSeed(chatId) {
+      if (data.triggerSeeds.has(chatId)) return false;
+      data.triggerSeeds.add(chatId);
+      return true;
+    }
+  };
+
+  const moderation = {
+    async log(entry) {
+      insert(data.moderationLog, entry);
+    },
+
+    async getPardon(chatId, userId) {
+      return copy(data.moderationPardons.find(record => record.chatId === chatId && record.userId === userId));
+    },
+
+    async setPardon(chatId, userId, fields) {
+      let record = data.moderationPardons.find(stored => stored.chatId === chatId && stored.userId === userId);
+      if (!record) {
+        record = { _id: new ObjectId(), chatId, userId };
+        data.moderationPardons.push(record);
+      }
+      Object.assign(record, fields);
+    }
+  };
+
+  const members = {
+    async log(event) {
+      insert(data.memberEvents, event);
+    },
+
+    async countEventsSince(chatId, since) {
+      const events = data.memberEvents.filter(event => event.chatId === chatId && isSince(event, since));
+      return {
+        joins: events.filter(event => event.event === 'join').length,
+        leaves: events.filter(event => event.event === 'leave').length
+      };
+    }
+  };
+
+  const captchas = {
+    async start(chatId, userId, fields) {
+      let record = data.captchas.find(stored => stored.chatId === chatId && stored.userId === userId);
+      if (!record) {
+        record = { _id: new ObjectId(), chatId, userId };
+        data.captchas.push(record);
+      }
+      Object.assign(record, fields, { status: 'pending' });
+    },
+
+    async get(chatId, userId) {
+      return copy(data.captchas.find(record => record.chatId === chatId && record.userId === userId));
+    },
+
+    async resolve(chatId, userId, status) {
+      const record = data.captchas.find(stored => stored.chatId === chatId && stored.userId === userId);
+      if (!record || record.status !== 'pending') return false;
+      Object.assign(record, { status, resolvedAt: new Date() });
+      return true;
+    },
+
+    async listPending() {
+      return data.captchas.filter(record => record.status === 'pending').map(copy);
+    }
+  };
+
+  const topics = {
+    async setName(chatId, topicId, name) {
+      let record = data.forumTopics.find(stored => stored.chatId === chatId && stored.topicId === topicId);
+      if (!record) {
+        record = { _id: new ObjectId(), chatId, topicId };
+        data.forumTopics.push(record);
+      }
+      Object.assign(record, { name, updatedAt: new Date() });
+    },
+
+    async list(chatId) {
+      return data.forumTopics.filter(record => record.chatId === chatId).map(copy);
+    }
+  };
+
+  const links = {
+    async insert(record) {
+      if (data.postedLinks.some(stored => (
+        stored.chatId === record.chatId && stored.key === record.key && stored.originalMessageId === record.originalMessageId
+      ))) {
+        return null;
+      }
+      return insert(data.postedLinks, record);
+    },
+
+    async findFirst(chatId, key) {
+      const matching = data.postedLinks.filter(record => record.chatId === chatId && record.key === key);
+      return copy(matching.sort((a, b) => a.timestamp - b.timestamp)[0]);
+    }
+  };
+
+  const textFingerprints = {
+    async insert(record) {
+      if (data.textFingerprints.some(stored => stored.chatId === record.chatId && stored.originalMessageId === record.originalMessageId)) {
+        return null;
+      }
+      return insert(data.textFingerprints, record);
+    },
+
+    async findCandidates(chatId, segments) {
+      const wanted = new Set(segments);
+      return data.textFingerprints
+        .filter(record => record.chatId === chatId && record.hashSegments.some(segment => wanted.has(segment)))
+        .map(copy);
+    }
+  };
+
+  const allowlist = {
+    async list(chatId) {
+      return data.duplicateAllowlist.filter(entry => entry.chatId === chatId).map(copy);
+    },
+
+    async insert(entry) {
+      insert(data.duplicateAllowlist, entry);
+    }
+  };
+
+  const duplicateReports = {
+    async insert(report) {
+      insert(data.duplicateReports, report);
+    },
+
+    async get(chatId, id) {
+      return copy(data.duplicateReports.find(report => sameId(report._id, id) && report.chatId === chatId));
+    },
+
+    async claim(id, fields) {
+      const report = data.duplicateReports.find(stored => sameId(stored._id, id) && stored.status === 'pending');
+      if (!report) return null;
+      const before = copy(report);
+      Object.assign(report, fields);
+      return before;
+    },
+
+    async list(chatId, { status, skip = 0, limit = 20 } = {}) {
+      const matching = data.duplicateReports
+        .filter(report => report.chatId === chatId && (status === undefined || report.status === status))
+        .sort((a, b) => b.timestamp - a.timestamp);
+      return {
+        items: matching.slice(skip, skip + limit).map(({ fingerprint, originalHash, replyText, ...report }) => {
+          let original;
+          if (report.originalLinkId) {
+            original = data.postedLinks.find(record => sameId(record._id, report.originalLinkId));
+          } else if (report.originalTextId) {
+            original = data.textFingerprints.find(record => sameId(record._id, report.originalTextId));
+          } else {
+            original = data.media.find(record => sameId(record._id, report.originalMediaId));
+          }
+          if (report.albumItems) {
+            report.albumItems = report.albumItems.map(({ messageId, mediaType, originalMediaId }) => ({ messageId, mediaType, originalMediaId }));
+          }
+          return {
+            ...report,
+            original: original ? pick(original, ['originalMessageId', 'topicId', 'userId', 'username', 'firstName', 'lastName', 'timestamp']) : null
+          };
+        }),
+        total: matching.length
+      };
+    }
+  };
+
+  const imports = {
+    async get(chatId) {
+      const record = data.historyImports.find(stored => stored.chatId === chatId);
+      return record ? { ...record, duplicates: [...record.duplicates] } : null;
+    },
+
+    async start(chatId, fields) {
+      if (!data.historyImports.some(stored => stored.chatId === chatId)) {
+        insert(data.historyImports, { chatId, ...fields });
+      }
+      return imports.get(chatId);
+    },
+
+    async saveProgress(chatId, fields, newDuplicates) {
+      const record = data.historyImports.find(stored => stored.chatId === chatId);
+      if (!record) return;
+      Object.assign(record, fields);
+      record.duplicates = [...(record.duplicates || []), ...newDuplicates];
+    },
+
+    async delete(chatId) {
+      data.historyImports = data.historyImports.filter(stored => stored.chatId !== chatId);
+    }
+  };
+
+  const updates = {
+    async claim(updateId, staleBefore) {
+      const now = Date.now();
+      for (const [storedId, stored] of data.processedUpdates) {
+        if (now - stored.receivedAt > PROCESSED_UPDATES_TTL_MS) data.processedUpdates.delete(storedId);
+      }
+
+      const stored = data.processedUpdates.get(updateId);
+      if (stored && stored.done) return 'done';
+      if (stored && stored.receivedAt >= staleBefore.getTime()) return 'processing';
+      data.processedUpdates.set(updateId, { receivedAt: now, done: false });
+      return 'claimed';
+    },
+
+    async complete(updateId) {
+      const stored = data.processedUpdates.get(updateId);
+      if (stored) stored.done = true;
+    },
+
+    async release(updateId) {
+      const stored = data.processedUpdates.get(updateId);
+      if (stored && !stored.done) data.processedUpdates.delete(updateId);
+    }
+  };
+
+  return {
+    media,
+    textMessages,
+    userStats,
+    duplicates,
+    reactions,
+    settings,
+    triggers,
+    moderation,
+    allowlist,
+    duplicateReports,
+    imports,
+    updates,
+    members,
+    captchas,
+    topics,
+    links,
+    textFingerprints,
+
+    async connect() {
+      console.log('Using in-memory storage, data is lost on restart');
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createMemoryStorage
+};
@@ -0,0 +1,1020 @@
+// MongoDB storage backend, every query of the bot lives here
+
+const { MongoClient, ObjectId } = require('mongodb');
+const { IMAGE_MEDIA_TYPES, VIDEO_MEDIA_TYPES, getFingerprintSegments } = require('../fingerprint');
+
+// Fingerprint fields are large and only useful to the duplicate search
+const FINGERPRINT_PROJECTION = { hash: 0, hashSegments: 0, hashVariants: 0, frameHashes: 0 };
+
+// Webhook update ids are remembered this long, Telegram gives up redelivering after a day
+const PROCESSED_UPDATES_TTL_SECONDS = 24 * 60 * 60;
+
+// Report ids arrive as strings from callback data and API paths
+function toObjectId(id) {
+  return typeof id === 'string' ? new ObjectId(id) : id;
+}
+
+// Messages per hour of the day in a collection of messages
+async function countByHour(collection, chatId, userId, timezone) {
+  const hourCounts = new Array(24).fill(0);
+  const hours = await collection.aggregate([
+    { $match: { chatId, userId } },
+    { $group: { _id: { $hour: { date: '$timestamp', timezone } }, count: { $sum: 1 } } }
+  ]).toArray();
+  for (const { _id: hour, count } of hours) {
+    hourCounts[hour] += count;
+  }
+  return hourCounts;
+}
+
+// Messages per user in a chat with their first and last time, optionally also per media type.
+// The items of an album count as one message, of the type of its first item.
+function summarizeByUser(collection, chatId, byMediaType) {
+  return collection.aggregate([
+    { $match: { chatId, userId: { $ne: null } } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { userId: '$userId', post: { $ifNull: ['$mediaGroupId', '$_id'] } },
+        userId: { $first: '$userId' },
+        mediaType: { $first: '$mediaType' },
+        timestamp: { $first: '$timestamp' },
+        username: { $last: '$username' },
+        firstName: { $last: '$firstName' },
+        lastName: { $last: '$lastName' }
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: byMediaType ? { userId: '$userId', mediaType: '$mediaType' } : { userId: '$userId' },
+        count: { $sum: 1 },
+        first: { $min: '$timestamp' },
+        last: { $max: '$timestamp' },
+        username: { $last: '$username' },
+        firstName: { $last: '$firstName' },
+        lastName: { $last: '$lastName' }
+      }
+    }
+  ]).toArray().then(groups => groups.map(({ _id, ...summary }) => ({ ..._id, ...summary })));
+}
+
+// Find the chat a user was active in closest to (and not after) the given time
+async function findUserChatAt(db, userId, timestamp, defaultChatId) {
+  const query = { userId, chatId: { $exists: true } };
+  const before = { ...query, timestamp: { $lte: timestamp } };
+
+  for (const filter of [before, query]) {
+    for (const collectionName of ['media', 'textMessages']) {
+      const record = await db.collection(collectionName)
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .limit(1)
+        .next();
+      if (record) {
+        return record.chatId;
+      }
+    }
+  }
+
+  return defaultChatId;
+}
+
+// Assign a chatId to duplicates and userStats stored before stats were kept per chat
+async function migrateToPerChatData(db, defaultChatId) {
+  // Duplicates are attributed to the chat the user was active in at that time
+  const legacyDuplicates = await db.collection('duplicates')
+    .find({ chatId: { $exists: false } })
+    .toArray();
+
+  for (const duplicate of legacyDuplicates) {
+    const chatId = await findUserChatAt(db, duplicate.userId, duplicate.timestamp, defaultChatId);
+    if (chatId === null) {
+      console.warn(`Could not determine chat for duplicate ${duplicate._id}, leaving it unassigned`);
+      continue;
+    }
+    await db.collection('duplicates').updateOne({ _id: duplicate._id }, { $set: { chatId } });
+  }
+
+  // User statistics are rebuilt per chat from the stored media, text and duplicates
+  const legacyStats = await db.collection('userStats')
+    .find({ chatId: { $exists: false } })
+    .toArray();
+
+  for (const legacy of legacyStats) {
+    const { userId } = legacy;
+    const perChat = {};
+    const chatEntry = (chatId) => {
+      if (!perChat[chatId]) {
+        perChat[chatId] = {
+          chatId,
+          userId,
+          username: legacy.username,
+          photoCount: 0,
+          videoCount: 0,
+          documentCount: 0,
+          animationCount: 0,
+          textCount: 0,
+          duplicatesPosted: 0,
+          totalMessages: 0,
+          firstSeen: null,
+          lastActive: null
+        };
+      }
+      return perChat[chatId];
+    };
+    const touch = (entry, timestamp) => {
+      if (!entry.firstSeen || timestamp < entry.firstSeen) entry.firstSeen = timestamp;
+      if (!entry.lastActive || timestamp > entry.lastActive) entry.lastActive = timestamp;
+    };
+
+    const userMedia = await db.collection('media').find({ userId, chatId: { $exists: true } }).toArray();
+    for (const media of userMedia) {
+      const entry = chatEntry(media.chatId);
+      entry[`${media.mediaType}Count`] = (entry[`${media.mediaType}Count`] || 0) + 1;
+      entry.totalMessages++;
+      touch(entry, media.timestamp);
+    }
+
+    const userTexts = await db.collection('textMessages').find({ userId, chatId: { $exists: true } }).toArray();
+    for (const textMsg of userTexts) {
+      const entry = chatEntry(textMsg.chatId);
+      entry.textCount++;
+      entry.totalMessages++;
+      touch(entry, textMsg.timestamp);
+    }
+
+    const userDuplicates = await db.collection('duplicates').find({ userId, chatId: { $exists: true } }).toArray();
+    for (const duplicate of userDuplicates) {
+      const entry = chatEntry(duplicate.chatId);
+      entry.duplicatesPosted++;
+      touch(entry, duplicate.timestamp);
+    }
+
+    const entries = Object.values(perChat);
+    if (entries.length === 0) {
+      console.warn(`No chat activity found for user ${userId}, leaving legacy statistics unassigned`);
+      continue;
+    }
+
+    for (const entry of entries) {
+      const { chatId, ...fields } = entry;
+      await db.collection('userStats').updateOne(
+        { chatId, userId },
+        { $setOnInsert: fields },
+        { upsert: true }
+      );
+    }
+    await db.collection('userStats').deleteOne({ _id: legacy._id });
+  }
+
+  if (legacyDuplicates.length > 0 || legacyStats.length > 0) {
+    console.log(`Migrated ${legacyDuplicates.length} duplicates and ${legacyStats.length} user statistics to per-chat records`);
+  }
+}
+
+// Add similarity index segments to perceptual media stored without them
+async function rebuildHashIndex(db) {
+  const unindexed = db.collection('media').find({
+    $or: [
+      { mediaType: { $in: IMAGE_MEDIA_TYPES } },
+      { frameHashes: { $exists: true } }
+    ],
+    hashSegments: { $exists: false }
+  });
+
+  let indexedCount = 0;
+  for await (const media of unindexed) {
+    await db.collection('media').updateOne(
+      { _id: media._id },
+      { $set: { hashSegments: getFingerprintSegments(media, media.mediaType) } }
+    );
+    indexedCount++;
+  }
+
+  if (indexedCount > 0) {
+    console.log(`Added ${indexedCount} media items to the similarity index`);
+  }
+}
+
+// Allow one media record per message. Messages handled twice could be stored twice before,
+// those extra copies are removed so that the index can be unique.
+async function ensureUniqueMediaMessages(db) {
+  const media = db.collection('media');
+  const indexName = 'chatId_1_originalMessageId_1';
+  const existing = (await media.indexes()).find(index => index.name === indexName);
+  if (existing && existing.unique) return;
+
+  const repeated = await media.aggregate([
+    { $sort: { timestamp: 1 } },
+    { $group: { _id: { chatId: '$chatId', messageId: '$originalMessageId' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+  ], { allowDiskUse: true }).toArray();
+
+  let removedCount = 0;
+  for (const group of repeated) {
+    // The oldest record is kept
+    const result = await media.deleteMany({ _id: { $in: group.ids.slice(1) } });
+    removedCount += result.deletedCount;
+  }
+  if (removedCount > 0) {
+    console.log(`Removed ${removedCount} media records stored twice for the same message`);
+  }
+
+  if (existing) {
+    await media.dropIndex(indexName);
+  }
+  await media.createIndex({ chatId: 1, originalMessageId: 1 }, { unique: true });
+}
+
+// Create the MongoDB storage. `defaultChatId` receives legacy records whose chat is unknown.
+function createMongoStorage({ uri, dbName, defaultChatId = null }) {
+  const client = new MongoClient(uri);
+  const db = client.db(dbName);
+  const collection = name => db.collection(name);
+
+  const media = {
+    // Store a fingerprinted media record unless its message is stored already.
+    // Returns the new id, or null for a message that was stored before.
+    async insert(record) {
+      try {
+        const result = await collection('media').updateOne(
+          { chatId: record.chatId, originalMessageId: record.originalMessageId },
+          { $setOnInsert: record },
+          { upsert: true }
+        );
+        return result.upsertedId || null;
+      } catch (error) {
+        // Another insert of the same message won the race for the unique index
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    },
+
+    findByMessage(chatId, messageId) {
+      return collection('media').findOne({ chatId, originalMessageId: messageId });
+    },
+
+    // Media with exactly this hash, oldest first
+    findExact(chatId, hash) {
+      return collection('media').find({ chatId, hash }).sort({ _id: 1 }).toArray();
+    },
+
+    // Images sharing a similarity index segment, or every image when `segments` is null. Oldest first.
+    findImageCandidates(chatId, segments) {
+      const query = { chatId, mediaType: { $in: IMAGE_MEDIA_TYPES } };
+      if (segments) {
+        query.hashSegments = { $in: segments };
+      }
+      return collection('media').find(query).sort({ _id: 1 });
+    },
+
+    // Videos and animations with keyframes sharing a similarity index segment, or all of them when
+    // `segments` is null. Oldest first.
+    findVideoCandidates(chatId, segments) {
+      const query = { chatId, mediaType: { $in: VIDEO_MEDIA_TYPES }, frameHashes: { $exists: true } };
+      if (segments) {
+        query.hashSegments = { $in: segments };
+      }
+      return collection('media').find(query).sort({ _id: 1 });
+    },
+
+    // Media posted since a date (or ever), without fingerprints
+    listSince(chatId, since) {
+      const filter = since ? { chatId, timestamp: { $gte: since } } : { chatId };
+      return collection('media').find(
+        filter,
+        { projection: { userId: 1, username: 1, firstName: 1, lastName: 1, mediaType: 1, mediaGroupId: 1, topicId: 1, timestamp: 1 } }
+      ).toArray();
+    },
+
+    // A page of media, newest first, optionally of one user or type
+    async list(chatId, { userId, mediaType, skip = 0, limit = 20 } = {}) {
+      const filter = { chatId };
+      if (userId !== undefined) filter.userId = userId;
+      if (mediaType !== undefined) filter.mediaType = mediaType;
+
+      const [items, total] = await Promise.all([
+        collection('media').find(filter, { projection: FINGERPRINT_PROJECTION })
+          .sort({ timestamp: -1 })
+          .skip(skip)
+          .limit(limit)
+          .toArray(),
+        collection('media').countDocuments(filter)
+      ]);
+      return { items, total };
+    },
+
+    // Posts of a user since a date, an album counts once
+    async countByUserSince(chatId, userId, since) {
+      const [result] = await collection('media').aggregate([
+        { $match: { chatId, userId, timestamp: { $gte: since } } },
+        { $group: { _id: { $ifNull: ['$mediaGroupId', '$_id'] } } },
+        { $count: 'posts' }
+      ]).toArray();
+      return result ? result.posts : 0;
+    },
+
+    countByHour(chatId, userId, timezone) {
+      return countByHour(collection('media'), chatId, userId, timezone);
+    },
+
+    // Media count per user and media type: [{ userId, mediaType, count, first, last, username, firstName, lastName }]
+    summarizeByUser(chatId) {
+      return summarizeByUser(collection('media'), chatId, true);
+    },
+
+    // Media joined with its reactions as `reactionData`, most reacted first. Without `since` covers
+    // all time, with `userId` only that user's media.
+    findReacted(chatId, { since, userId } = {}) {
+      const match = { chatId };
+      if (since) {
+        match.timestamp = { $gte: since };
+      }
+      if (userId !== undefined) {
+        match.userId = userId;
+      }
+
+      return collection('media').aggregate([
+        { $match: match },
+        { $project: { hashSegments: 0, hashVariants: 0, frameHashes: 0 } },
+        {
+          $lookup: {
+            from: 'messageReactions',
+            let: { messageId: { $toString: '$originalMessageId' } },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $and: [
+                      { $eq: ['$chatId', chatId.toString()] },
+                      { $eq: ['$messageId', '$$messageId'] }
+                    ]
+                  }
+                }
+              }
+            ],
+            as: 'reactionData'
+          }
+        },
+        { $unwind: '$reactionData' },
+        { $match: { 'reactionData.totalReactions': { $gt: 0 } } },
+        { $sort: { 'reactionData.totalReactions': -1, timestamp: 1 } }
+      ]).toArray();
+    },
+
+    // Every chat media was posted in
+    distinctChatIds() {
+      return collection('media').distinct('chatId');
+    }
+  };
+
+  const textMessages = {
+    async insert(record) {
+      const result = await collection('textMessages').insertOne(record);
+      return result.insertedId;
+    },
+
+    findByMessage(chatId, messageId) {
+      return collection('textMessages').findOne({ chatId, messageId });
+    },
+
+    listSince(chatId, since) {
+      const filter = since ? { chatId, timestamp: { $gte: since } } : { chatId };
+      return collection('textMessages').find(
+        filter,
+        { projection: { userId: 1, username: 1, firstName: 1, lastName: 1, topicId: 1, timestamp: 1 } }
+      ).toArray();
+    },
+
+    countByUserSince(chatId, userId, since) {
+      return collection('textMessages').countDocuments({ chatId, userId, timestamp: { $gte: since } });
+    },
+
+    countByHour(chatId, userId, timezone) {
+      return countByHour(collection('textMessages'), chatId, userId, timezone);
+    },
+
+    // Text messages per user: [{ userId, count, first, last, username, firstName, lastName }]
+    summarizeByUser(chatId) {
+      return summarizeByUser(collection('textMessages'), chatId, false);
+    }
+  };
+
+  const userStats = {
+    get(chatId, userId) {
+      return collection('userStats').findOne({ chatId, userId });
+    },
+
+    findByUsername(chatId, username) {
+      return collection('userStats').findOne({ chatId, username });
+    },
+
+    // Count a message of the given type ('text' or a media type)
+    async recordMessage(chatId, userId, author, mediaType) {
+      const countField = `${mediaType}Count`;
+      const initialCounts = {
+        photoCount: 0,
+        videoCount: 0,
+        documentCount: 0,
+        animationCount: 0,
+        textCount: 0,
+        duplicatesPosted: 0
+      };
+      delete initialCounts[countField];
+
+      await collection('userStats').updateOne(
+        { chatId, userId },
+        {
+          $inc: { [countField]: 1, totalMessages: 1 },
+          $set: { ...author, lastActive: new Date() },
+          $setOnInsert: { ...initialCounts, firstSeen: new Date() }
+        },
+        { upsert: true }
+      );
+    },
+
+    async addDuplicate(chatId, userId, author) {
+      await collection('userStats').updateOne(
+        { chatId, userId },
+        {
+          $inc: { duplicatesPosted: 1 },
+          $set: { ...author, lastActive: new Date() }
+        },
+        { upsert: true }
+      );
+    },
+
+    async removeDuplicate(chatId, userId) {
+      await collection('userStats').updateOne(
+        { chatId, userId },
+        { $inc: { duplicatesPosted: -1 } }
+      );
+    },
+
+    // Change reactionsGiven or reactionsReceived, updating the user's names when they are known
+    async addReactions(chatId, userId, field, change, author) {
+      const update = { $inc: { [field]: change } };
+      if (author) {
+        update.$set = author;
+      }
+      await collection('userStats').updateOne({ chatId, userId }, update, { upsert: true });
+    },
+
+    // Position of a message count among the active users of a chat
+    async getRank(chatId, totalMessages) {
+      const rank = await collection('userStats').countDocuments({ chatId, totalMessages: { $gt: totalMessages } }) + 1;
+      const userCount = await collection('userStats').countDocuments({ chatId, totalMessages: { $gt: 0 } });
+      return { rank, userCount: Math.max(userCount, rank) };
+    },
+
+    // Chats a user has statistics in, optionally only the given one
+    getChatIds(userId, chatId) {
+      return collection('userStats').distinct('chatId', {
+        userId,
+        chatId: chatId === undefined ? { $exists: true } : chatId
+      });
+    },
+
+    // Totals of every chat, most recently active first
+    async summarizeChats() {
+      const chats = await collection('userStats').aggregate([
+        { $match: { chatId: { $exists: true } } },
+        {
+          $group: {
+            _id: '$chatId',
+            users: { $sum: 1 },
+            totalMessages: { $sum: { $ifNull: ['$totalMessages', 0] } },
+            duplicatesPosted: { $sum: { $ifNull: ['$duplicatesPosted', 0] } },
+            lastActive: { $max: '$lastActive' }
+          }
+        },
+        { $sort: { lastActive: -1 } }
+      ]).toArray();
+      return chats.map(({ _id, ...totals }) => ({ chatId: _id, ...totals }));
+    },
+
+    // Replace the message counts of a user, keeping duplicate and reaction counts
+    async setCounts(chatId, userId, { username, firstName, lastName, firstSeen, lastActive, ...counts }) {
+      await collection('userStats').updateOne(
+        { chatId, userId },
+        {
+          $set: counts,
+          $min: { firstSeen },
+          $max: { lastActive },
+          $setOnInsert: { username, firstName, lastName, duplicatesPosted: 0 }
+        },
+        { upsert: true }
+      );
+    }
+  };
+
+  const duplicates = {
+    async insert(record) {
+      const result = await collection('duplicates').insertOne(record);
+      return result.insertedId;
+    },
+
+    // Returns whether the duplicate existed
+    async delete(id) {
+      const result = await collection('duplicates').deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    },
+
+    listSince(chatId, since) {
+      const filter = since ? { chatId, timestamp: { $gte: since } } : { chatId };
+      return collection('duplicates').find(filter).toArray();
+    },
+
+    countByUserSince(chatId, userId, since) {
+      return collection('duplicates').countDocuments({ chatId, userId, timestamp: { $gte: since } });
+    }
+  };
+
+  // Reaction counts per message (`messageReactions`) and per reacting user (`userReactions`).
+  // Their chat and message ids are stored as strings.
+  const reactions = {
+    getMessage(chatId, messageId) {
+      return collection('messageReactions').findOne({
+        chatId: chatId.toString(),
+        messageId: messageId.toString()
+      });
+    },
+
+    async saveMessage(chatId, messageId, fields) {
+      await collection('messageReactions').updateOne(
+        { chatId: chatId.toString(), messageId: messageId.toString() },
+        { $set: fields },
+        { upsert: true }
+      );
+    },
+
+    countMessages() {
+      return collection('messageReactions').countDocuments();
+    },
+
+    listRecentMessages(limit) {
+      return collection('messageReactions')
+        .find({})
+        .sort({ lastUpdated: -1 })
+        .limit(limit)
+        .toArray();
+    },
+
+    getUserReaction(chatId, messageId, reactorId) {
+      return collection('userReactions').findOne({
+        chatId: chatId.toString(),
+        messageId: messageId.toString(),
+        reactorId
+      });
+    },
+
+    async saveUserReaction(chatId, messageId, reactorId, fields) {
+      await collection('userReactions').updateOne(
+        { chatId: chatId.toString(), messageId: messageId.toString(), reactorId },
+        { $set: fields },
+        { upsert: true }
+      );
+    },
+
+    async deleteUserReaction(chatId, messageId, reactorId) {
+      await collection('userReactions').deleteOne({
+        chatId: chatId.toString(),
+        messageId: messageId.toString(),
+        reactorId
+      });
+    },
+
+    // Reactions of every user on a message counted per type: [{ type, total_count }], most used first
+    countUserReactions(chatId, messageId) {
+      return collection('userReactions').aggregate([
+        { $match: { chatId: chatId.toString(), messageId: messageId.toString() } },
+        { $unwind: '$reactions' },
+        { $group: { _id: '$reactions.key', type: { $first: '$reactions.type' }, total_count: { $sum: 1 } } },
+        { $project: { _id: 0, type: 1, total_count: 1 } },
+        { $sort: { total_count: -1 } }
+      ]).toArray();
+    }
+  };
+
+  const settings = {
+    get(chatId) {
+      return collection('chatSettings').findOne({ chatId });
+    },
+
+    async set(chatId, fields) {
+      await collection('chatSettings').updateOne(
+        { chatId },
+        { $set: fields, $setOnInsert: { chatId } },
+        { upsert: true }
+      );
+    },
+
+    // Remove stored keys and set the given fields
+    async unset(chatId, keys, fields) {
+      const unset = {};
+      for (const key of keys) {
+        unset[key] = '';
+      }
+      await collection('chatSettings').updateOne({ chatId }, { $unset: unset, $set: fields });
+    }
+  };
+
+  const triggers = {
+    // Triggers of a chat in the order they were added
+    list(chatId) {
+      return collection('triggers').find({ chatId }).sort({ createdAt: 1 }).toArray();
+    },
+
+    async insert(trigger) {
+      const result = await collection('triggers').insertOne(trigger);
+      return result.insertedId;
+    },
+
+    async insertMany(list) {
+      await collection('triggers').insertMany(list);
+    },
+
+    async delete(id) {
+      await collection('triggers').deleteOne({ _id: id });
+    },
+
+    // Mark a trigger as fired unless it fired after `cooldownStart`. Returns whether it was claimed.
+    async claimCooldown(id, now, cooldownStart) {
+      const claimed = await collection('triggers').updateOne(
+        {
+          _id: id,
+          $or: [{ lastFiredAt: null }, { lastFiredAt: { $lte: cooldownStart } }]
+        },
+        { $set: { lastFiredAt: now } }
+      );
+      return claimed.modifiedCount > 0;
+    },
+
+    // Record that a chat got the default triggers. Returns false if it already had them.
+    async claimSeed(chatId) {
+      const seeded = await collection('triggerSeeds').updateOne(
+        { chatId },
+        { $setOnInsert: { chatId, seededAt: new Date() } },
+        { upsert: true }
+      );
+      return seeded.upsertedCount > 0;
+    }
+  };
+
+  const moderation = {
+    async log(entry) {
+      await collection('moderationLog').insertOne(entry);
+    },
+
+    getPardon(chatId, userId) {
+      return collection('moderationPardons').findOne({ chatId, userId });
+    },
+
+    async setPardon(chatId, userId, fields) {
+      await collection('moderationPardons').updateOne(
+        { chatId, userId },
+        { $set: { chatId, userId, ...fields } },
+        { upsert: true }
+      );
+    }
+  };
+
+  // Joins and leaves from chat_member updates
+  const members = {
+    async log(event) {
+      await collection('memberEvents').insertOne(event);
+    },
+
+    // Numbers of joins and leaves since a date, as { joins, leaves }
+    async countEventsSince(chatId, since) {
+      const filter = since ? { chatId, timestamp: { $gte: since } } : { chatId };
+      const counts = await collection('memberEvents').aggregate([
+        { $match: filter },
+        { $group: { _id: '$event', count: { $sum: 1 } } }
+      ]).toArray();
+      const countOf = event => (counts.find(entry => entry._id === event) || { count: 0 }).count;
+      return { joins: countOf('join'), leaves: countOf('leave') };
+    }
+  };
+
+  // Captchas of new members, one per member of a chat
+  const captchas = {
+    async start(chatId, userId, fields) {
+      await collection('captchas').updateOne(
+        { chatId, userId },
+        { $set: { chatId, userId, ...fields, status: 'pending' } },
+        { upsert: true }
+      );
+    },
+
+    get(chatId, userId) {
+      return collection('captchas').findOne({ chatId, userId });
+    },
+
+    // Move a pending captcha to `status`. Returns false if it was no longer pending.
+    async resolve(chatId, userId, status) {
+      const resolved = await collection('captchas').updateOne(
+        { chatId, userId, status: 'pending' },
+        { $set: { status, resolvedAt: new Date() } }
+      );
+      return resolved.modifiedCount > 0;
+    },
+
+    listPending() {
+      return collection('captchas').find({ status: 'pending' }).toArray();
+    }
+  };
+
+  // Names of forum topics, learned from topic service messages
+  const topics = {
+    async setName(chatId, topicId, name) {
+      await collection('forumTopics').updateOne(
+        { chatId, topicId },
+        { $set: { chatId, topicId, name, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    },
+
+    list(chatId) {
+      return collection('forumTopics').find({ chatId }).toArray();
+    }
+  };
+
+  // Links and forwarded channel posts, by their normalized key, see lib/links.js
+  const links = {
+    // Store a key of a message unless it is stored already. Returns the new id or null.
+    async insert(record) {
+      try {
+        const result = await collection('postedLinks').updateOne(
+          { chatId: record.chatId, key: record.key, originalMessageId: record.originalMessageId },
+          { $setOnInsert: record },
+          { upsert: true }
+        );
+        return result.upsertedId || null;
+      } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    },
+
+    // The earliest post of a key in a chat
+    findFirst(chatId, key) {
+      return collection('postedLinks').findOne({ chatId, key }, { sort: { timestamp: 1 } });
+    }
+  };
+
+  // SimHash fingerprints of long texts and captions, see lib/copypasta.js
+  const textFingerprints = {
+    // Store a fingerprint unless its message is stored already. Returns the new id or null.
+    async insert(record) {
+      try {
+        const result = await collection('textFingerprints').updateOne(
+          { chatId: record.chatId, originalMessageId: record.originalMessageId },
+          { $setOnInsert: record },
+          { upsert: true }
+        );
+        return result.upsertedId || null;
+      } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    },
+
+    // Texts sharing a similarity index segment, oldest first
+    findCandidates(chatId, segments) {
+      return collection('textFingerprints').find({ chatId, hashSegments: { $in: segments } }).sort({ _id: 1 });
+    }
+  };
+
+  const allowlist = {
+    list(chatId) {
+      return collection('duplicateAllowlist').find({ chatId }).toArray();
+    },
+
+    async insert(entry) {
+      await collection('duplicateAllowlist').insertOne(entry);
+    }
+  };
+
+  const duplicateReports = {
+    async insert(report) {
+      await collection('duplicateReports').insertOne(report);
+    },
+
+    get(chatId, id) {
+      return collection('duplicateReports').findOne({ _id: toObjectId(id), chatId });
+    },
+
+    // Resolve a pending report. Returns null if it was already resolved.
+    claim(id, fields) {
+      return collection('duplicateReports').findOneAndUpdate(
+        { _id: toObjectId(id), status: 'pending' },
+        { $set: fields }
+      );
+    },
+
+    // A page of reports, newest first, with the original media, link or text as `original`
+    async list(chatId, { status, skip = 0, limit = 20 } = {}) {
+      const filter = { chatId };
+      if (status !== undefined) filter.status = status;
+
+      const [items, total] = await Promise.all([
+        collection('duplicateReports').aggregate([
+          { $match: filter },
+          { $sort: { timestamp: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'media',
+              localField: 'originalMediaId',
+              foreignField: '_id',
+              pipeline: [{ $project: { originalMessageId: 1, topicId: 1, userId: 1, username: 1, firstName: 1, lastName: 1, timestamp: 1 } }],
+              as: 'original'
+            }
+          },
+          {
+            $lookup: {
+              from: 'postedLinks',
+              localField: 'originalLinkId',
+              foreignField: '_id',
+              pipeline: [{ $project: { originalMessageId: 1, topicId: 1, userId: 1, username: 1, firstName: 1, lastName: 1, timestamp: 1 } }],
+              as: 'originalLink'
+            }
+          },
+          {
+            $lookup: {
+              from: 'textFingerprints',
+              localField: 'originalTextId',
+              foreignField: '_id',
+              pipeline: [{ $project: { originalMessageId: 1, topicId: 1, userId: 1, username: 1, firstName: 1, lastName: 1, timestamp: 1 } }],
+              as: 'originalText'
+            }
+          },
+          {
+            $project: {
+              fingerprint: 0,
+              originalHash: 0,
+              replyText: 0,
+              'albumItems.fingerprint': 0,
+              'albumItems.originalHash': 0
+            }
+          }
+        ]).toArray(),
+        collection('duplicateReports').countDocuments(filter)
+      ]);
+      return {
+        items: items.map(({ original: [original], originalLink: [originalLink], originalText: [originalText], ...report }) => ({
+          ...report,
+          original: original || originalLink || originalText || null
+        })),
+        total
+      };
+    }
+  };
+
+  // Progress of history imports, one record per chat
+  const imports = {
+    get(chatId) {
+      return collection('historyImports').findOne({ chatId });
+    },
+
+    // Get the import of a chat, creating it with `fields` when there is none
+    start(chatId, fields) {
+      return collection('historyImports').findOneAndUpdate(
+        { chatId },
+        { $setOnInsert: { chatId, ...fields } },
+        { upsert: true, returnDocument: 'after' }
+      );
+    },
+
+    async saveProgress(chatId, fields, newDuplicates) {
+      await collection('historyImports').updateOne(
+        { chatId },
+        { $set: fields, $push: { duplicates: { $each: newDuplicates } } }
+      );
+    },
+
+    async delete(chatId) {
+      await collection('historyImports').deleteOne({ chatId });
+    }
+  };
+
+  // Webhook updates being handled or already handled, to skip the ones Telegram delivers again
+  const updates = {
+    // Record that an update is being handled. Returns 'claimed', or 'done' when it was handled
+    // before and 'processing' while another delivery is handled since `staleBefore` or later.
+    // A delivery that has been handled since before then is assumed lost and claimed again.
+    async claim(updateId, staleBefore) {
+      try {
+        await collection('processedUpdates').insertOne({ updateId, receivedAt: new Date(), done: false });
+        return 'claimed';
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+
+      const reclaimed = await collection('processedUpdates').findOneAndUpdate(
+        { updateId, done: false, receivedAt: { $lt: staleBefore } },
+        { $set: { receivedAt: new Date() } }
+      );
+      if (reclaimed) return 'claimed';
+      const stored = await collection('processedUpdates').findOne({ updateId });
+      // Records from before `done` was kept were handled
+      return stored && stored.done !== false ? 'done' : 'processing';
+    },
+
+    // Mark a claimed update as handled
+    async complete(updateId) {
+      await collection('processedUpdates').updateOne({ updateId }, { $set: { done: true } });
+    },
+
+    // Give up the claim of an update that failed, so that its next delivery is handled again
+    async release(updateId) {
+      await collection('processedUpdates').deleteOne({ updateId, done: false });
+    }
+  };
+
+  return {
+    media,
+    textMessages,
+    userStats,
+    duplicates,
+    reactions,
+    settings,
+    triggers,
+    moderation,
+    allowlist,
+    duplicateReports,
+    imports,
+    updates,
+    members,
+    captchas,
+    topics,
+    links,
+    textFingerprints,
+
+    // Connect, migrate old records and create the indexes
+    async connect() {
+      await client.connect();
+      console.log('Connected to MongoDB');
+
+      // Create collections if they don't exist
+      await db.createCollection('media');
+      await db.createCollection('userStats');
+      await db.createCollection('duplicateTracking');
+
+      // Move records from before per-chat scoping into their chats
+      await migrateToPerChatData(db, defaultChatId);
+
+      // Everything is looked up per chat now
+      await collection('media').createIndex({ chatId: 1, mediaType: 1 });
+      await collection('media').createIndex({ chatId: 1, hash: 1 });
+      await collection('media').createIndex({ chatId: 1, hashSegments: 1 });
+      await ensureUniqueMediaMessages(db);
+      await rebuildHashIndex(db);
+      await collection('userStats').createIndex({ chatId: 1, userId: 1 }, { unique: true });
+      await collection('duplicates').createIndex({ chatId: 1, timestamp: 1 });
+      await collection('textMessages').createIndex({ chatId: 1, timestamp: 1 });
+      await collection('textMessages').createIndex({ chatId: 1, userId: 1, timestamp: 1 });
+      await collection('textMessages').createIndex({ chatId: 1, messageId: 1 });
+      await collection('media').createIndex({ chatId: 1, userId: 1, timestamp: 1 });
+      await collection('userStats').createIndex({ chatId: 1, totalMessages: -1 });
+      await collection('triggers').createIndex({ chatId: 1, createdAt: 1 });
+      await collection('triggerSeeds').createIndex({ chatId: 1 }, { unique: true });
+      await collection('chatSettings').createIndex({ chatId: 1 }, { unique: true });
+      await collection('duplicates').createIndex({ chatId: 1, userId: 1, timestamp: 1 });
+      await collection('moderationPardons').createIndex({ chatId: 1, userId: 1 }, { unique: true });
+      await collection('moderationLog').createIndex({ chatId: 1, timestamp: -1 });
+      await collection('duplicateAllowlist').createIndex({ chatId: 1 });
+      await collection('messageReactions').createIndex({ chatId: 1, messageId: 1 });
+      await collection('userReactions').createIndex({ chatId: 1, messageId: 1, reactorId: 1 }, { unique: true });
+      await collection('userReactions').createIndex({ chatId: 1, authorId: 1 });
+      await collection('duplicateReports').createIndex({ chatId: 1, replyMessageId: 1 });
+      await collection('historyImports').createIndex({ chatId: 1 }, { unique: true });
+      await collection('processedUpdates').createIndex({ updateId: 1 }, { unique: true });
+      await collection('memberEvents').createIndex({ chatId: 1, timestamp: 1 });
+      await collection('captchas').createIndex({ chatId: 1, userId: 1 }, { unique: true });
+      await collection('captchas').createIndex({ status: 1 });
+      await collection('forumTopics').createIndex({ chatId: 1, topicId: 1 }, { unique: true });
+      await collection('postedLinks').createIndex({ chatId: 1, key: 1, originalMessageId: 1 }, { unique: true });
+      await collection('postedLinks').createIndex({ chatId: 1, key: 1, timestamp: 1 });
+      await collection('textFingerprints').createIndex({ chatId: 1, originalMessageId: 1 }, { unique: true });
+      await collection('textFingerprints').createIndex({ chatId: 1, hashSegments: 1 });
+      await collection('processedUpdates').createIndex(
+        { receivedAt: 1 },
+        { expireAfterSeconds: PROCESSED_UPDATES_TTL_SECONDS }
+      );
+
+      console.log('Database collections initialized');
+    },
+
+    close() {
+      return client.close();
+    }
+  };
+}
+
+module.exports = {
+  createMongoStorage
+};
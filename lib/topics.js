@@ -0,0 +1,40 @@
+// Forum topics: which topic a message belongs to, replying into it and features limited to topics
+
+// Messages of the General topic carry no thread id, it is 1 wherever a topic id is needed
+const GENERAL_TOPIC_ID = 1;
+
+// Topic of a message: its thread id in forums, GENERAL_TOPIC_ID for the General topic and null outside forums
+function getTopicId(msg) {
+  if (msg.is_topic_message && msg.message_thread_id) {
+    return msg.message_thread_id;
+  }
+  return msg.chat.is_forum ? GENERAL_TOPIC_ID : null;
+}
+
+// Send options that keep a reply in the topic of `msg`. Without them replies land in General.
+function inTopic(msg, options = {}) {
+  if (!msg.is_topic_message || !msg.message_thread_id) {
+    return options;
+  }
+  return { ...options, message_thread_id: msg.message_thread_id };
+}
+
+// Whether a feature limited to `topics` runs in a topic. null stands for every topic,
+// and chats without topics are never limited.
+function isTopicEnabled(topics, topicId) {
+  return topics === null || topicId === null || topics.includes(topicId);
+}
+
+// Name of a topic for statistics, `names` maps topic ids to the names seen so far
+function getTopicName(topicId, names) {
+  if (names.has(topicId)) return names.get(topicId);
+  return topicId === GENERAL_TOPIC_ID ? 'General' : `Topic ${topicId}`;
+}
+
+module.exports = {
+  GENERAL_TOPIC_ID,
+  getTopicId,
+  inTopic,
+  isTopicEnabled,
+  getTopicName
+};
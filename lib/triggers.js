@@ -0,0 +1,380 @@
+// Auto-reply triggers kept per chat in the triggers storage
+
+// Latin letters that look like Cyrillic ones, folded before matching normalized patterns
+const HOMOGLYPHS = {
+  a: 'а',
+  c: 'с',
+  e: 'е',
+  ё: 'е',
+  h: 'н',
+  k: 'к',
+  m: 'м',
+  n: 'н',
+  o: 'о',
+  p: 'р',
+  t: 'т',
+  x: 'х',
+  y: 'у'
+};
+
+// Limits for admin supplied triggers
+const MAX_PATTERN_LENGTH = 200;
+const MAX_RESPONSES = 20;
+
+// Triggers every chat starts with, these used to be hardcoded in the message handler
+const DEFAULT_TRIGGERS = [
+  {
+    // Message ends with "нет" (with optional punctuation), also written with Latin lookalikes
+    pattern: '(?:^|\\s)нет[?!.,]*$',
+    normalize: true,
+    responses: ['Пидора ответ']
+  },
+  {
+    pattern: 'сука',
+    normalize: false,
+    responses: ['Внимание, обнаружена сучара']
+  },
+  {
+    // Message ends with "да" (with optional punctuation)
+    pattern: '(?:^|\\s)да[?!.,]*$',
+    normalize: false,
+    responses: ['Пизда']
+  },
+  {
+    pattern: '300',
+    normalize: false,
+    responses: ['Отсоси у тракториста']
+  },
+  {
+    // "точно" as a complete word, also written with Latin lookalikes
+    pattern: '(?:^|\\s)точно(?:\\s|[?!.,]|$)',
+    normalize: true,
+    responses: ['соси сочно']
+  },
+  {
+    // Rare random reply to one user
+    pattern: '[\\s\\S]',
+    normalize: false,
+    responses: ['люблю тебя, папочка'],
+    probability: 0.01,
+    users: ['brekelov']
+  }
+];
+
+// Lowercase text and replace Latin lookalikes with their Cyrillic counterparts
+function normalizeHomoglyphs(text) {
+  return text.toLowerCase().replace(/[a-zё]/g, char => HOMOGLYPHS[char] || char);
+}
+
+// Let a character class also match the Cyrillic lookalikes of the Latin letters it matches.
+// The class itself is kept as it is, so that ranges like [a-z] stay valid.
+function normalizeCharacterClass(characterClass) {
+  const negated = characterClass[1] === '^';
+  const body = characterClass.slice(negated ? 2 : 1, -1);
+  let latin;
+  try {
+    latin = new RegExp(`[${body}]`, 'i');
+  } catch (error) {
+    return characterClass; // Reported when the whole pattern is compiled
+  }
+
+  const lookalikes = [...new Set(Object.keys(HOMOGLYPHS)
+    .filter(letter => latin.test(letter))
+    .map(letter => HOMOGLYPHS[letter]))].join('');
+  if (!lookalikes) {
+    return characterClass;
+  }
+  return negated
+    ? `(?:(?![${lookalikes}])${characterClass})`
+    : `(?:${characterClass}|[${lookalikes}])`;
+}
+
+// Fold the literal letters of a pattern the same way, leaving escape sequences intact
+function normalizePattern(pattern) {
+  return pattern.replace(/\\.|\[\^?\]?(?:\\.|[^\]\\])*\]|[a-zA-ZёЁ]/g, match => {
+    if (match[0] === '\\') return match;
+    if (match[0] === '[') return normalizeCharacterClass(match);
+    return normalizeHomoglyphs(match);
+  });
+}
+
+// Whether a pattern repeats a group that itself contains a repetition, like (a+)+,
+// which can take exponential time on text that almost matches
+function hasNestedQuantifier(pattern) {
+  const groups = [{ quantified: false }];
+  let index = 0;
+  while (index < pattern.length) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index += 2;
+      continue;
+    }
+    if (char === '[') {
+      const characterClass = pattern.slice(index).match(/^\[\^?\]?(?:\\.|[^\]\\])*\]/);
+      index += characterClass ? characterClass[0].length : 1;
+      continue;
+    }
+
+    if (char === '(') {
+      groups.push({ quantified: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const next = pattern[index + 1];
+      const repeated = next === '*' || next === '+' || next === '{';
+      if (group.quantified && repeated) {
+        return true;
+      }
+      groups[groups.length - 1].quantified = groups[groups.length - 1].quantified || group.quantified;
+    } else if (char === '*' || char === '+' || char === '{') {
+      groups[groups.length - 1].quantified = true;
+    }
+    index++;
+  }
+  return false;
+}
+
+// Compile a trigger pattern, throwing a readable error for invalid ones
+function compilePattern(pattern, normalize = false) {
+  if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern must be between 1 and ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (hasNestedQuantifier(pattern)) {
+    throw new Error('Invalid pattern: a repeated group must not contain a repetition itself, like (a+)+');
+  }
+  try {
+    return new RegExp(normalize ? normalizePattern(pattern) : pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid pattern: ${error.message}`);
+  }
+}
+
+// Compiled trigger patterns, so that messages don't compile every pattern again.
+// Invalid patterns are kept as their error.
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 1000;
+
+// compilePattern through the cache
+function getCompiledPattern(pattern, normalize) {
+  const key = `${normalize ? 1 : 0}:${pattern}`;
+  if (!compiledPatterns.has(key)) {
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+      compiledPatterns.clear();
+    }
+    try {
+      compiledPatterns.set(key, compilePattern(pattern, normalize));
+    } catch (error) {
+      compiledPatterns.set(key, error);
+    }
+  }
+
+  const compiled = compiledPatterns.get(key);
+  if (compiled instanceof Error) {
+    throw compiled;
+  }
+  return compiled;
+}
+
+// Check a trigger's pattern and user filter against a message, ignoring chance and cooldown
+function matchesTrigger(trigger, text, from) {
+  if (trigger.users && trigger.users.length > 0) {
+    const username = (from.username || '').toLowerCase();
+    const allowed = trigger.users.some(user => user === username || user === String(from.id));
+    if (!allowed) return false;
+  }
+
+  let regex;
+  try {
+    regex = getCompiledPattern(trigger.pattern, trigger.normalize);
+  } catch (error) {
+    console.error(`Skipping trigger ${trigger._id}: ${error.message}`);
+    return false;
+  }
+
+  return regex.test(trigger.normalize ? normalizeHomoglyphs(text) : text);
+}
+
+// Insert the default triggers of a chat unless another process already claimed the seeding
+async function seedDefaultTriggers(storage, chatId) {
+  if (!(await storage.triggers.claimSeed(chatId))) return;
+
+  const now = Date.now();
+  await storage.triggers.insertMany(DEFAULT_TRIGGERS.map((trigger, index) => ({
+    chatId,
+    probability: 1,
+    cooldownSeconds: 0,
+    users: [],
+    ...trigger,
+    isDefault: true,
+    createdAt: new Date(now + index), // Keeps the defaults in their original order
+    lastFiredAt: null
+  })));
+}
+
+// Seeding of each chat, per storage, so that every message after the first skips the database write
+const seedings = new WeakMap();
+
+// Insert the default triggers the first time a chat uses them
+async function ensureDefaultTriggers(storage, chatId) {
+  if (!seedings.has(storage)) seedings.set(storage, new Map());
+  const chats = seedings.get(storage);
+
+  if (!chats.has(chatId)) {
+    const seeding = seedDefaultTriggers(storage, chatId);
+    chats.set(chatId, seeding);
+    // A failed seeding is tried again with the next message
+    seeding.catch(() => chats.delete(chatId));
+  }
+  await chats.get(chatId);
+}
+
+// Get all triggers of a chat in the order they were added
+async function getTriggers(storage, chatId) {
+  await ensureDefaultTriggers(storage, chatId);
+  return storage.triggers.list(chatId);
+}
+
+// Reply to a text message with every trigger that fires for it
+async function runTriggers(bot, storage, msg) {
+  const chatId = msg.chat.id;
+  const triggers = await getTriggers(storage, chatId);
+
+  for (const trigger of triggers) {
+    if (!matchesTrigger(trigger, msg.text, msg.from)) continue;
+
+    const probability = trigger.probability === undefined ? 1 : trigger.probability;
+    if (Math.random() >= probability) continue;
+
+    // Claim the cooldown atomically so that concurrent messages fire a trigger only once
+    const now = new Date();
+    const cooldownStart = new Date(now.getTime() - (trigger.cooldownSeconds || 0) * 1000);
+    if (!(await storage.triggers.claimCooldown(trigger._id, now, cooldownStart))) continue;
+
+    const response = trigger.responses[Math.floor(Math.random() * trigger.responses.length)];
+    await bot.sendMessage(chatId, response, { reply_to_message_id: msg.message_id });
+  }
+}
+
+// Parse the arguments of /trigger_add:
+//   [prob=0.5] [cooldown=60] [user=@name,...] [normalize=on|off] <pattern> => <response> | <response>
+// A pattern wrapped in slashes is a regular expression, anything else matches as plain text.
+function parseTriggerDefinition(args) {
+  const separatorIndex = args.indexOf('=>');
+  if (separatorIndex === -1) {
+    throw new Error('Missing "=>" between the pattern and the responses');
+  }
+
+  const definition = {
+    probability: 1,
+    cooldownSeconds: 0,
+    users: [],
+    normalize: true
+  };
+
+  const tokens = args.slice(0, separatorIndex).trim().split(/\s+/);
+  while (tokens.length > 0 && /^(prob|cooldown|user|normalize)=\S+$/.test(tokens[0])) {
+    const [key, value] = tokens.shift().split('=');
+
+    if (key === 'prob') {
+      const probability = parseFloat(value);
+      if (isNaN(probability) || probability <= 0 || probability > 1) {
+        throw new Error('prob must be a number between 0 and 1');
+      }
+      definition.probability = probability;
+    } else if (key === 'cooldown') {
+      const cooldownSeconds = parseInt(value, 10);
+      if (isNaN(cooldownSeconds) || cooldownSeconds < 0) {
+        throw new Error('cooldown must be a number of seconds');
+      }
+      definition.cooldownSeconds = cooldownSeconds;
+    } else if (key === 'user') {
+      definition.users = value.split(',')
+        .map(user => user.replace(/^@/, '').toLowerCase())
+        .filter(Boolean);
+    } else if (key === 'normalize') {
+      definition.normalize = !['off', 'false', 'no', '0'].includes(value.toLowerCase());
+    }
+  }
+
+  const rawPattern = tokens.join(' ');
+  const regexMatch = rawPattern.match(/^\/(.+)\/$/);
+  definition.pattern = regexMatch
+    ? regexMatch[1]
+    : rawPattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  compilePattern(definition.pattern, definition.normalize);
+
+  definition.responses = args.slice(separatorIndex + 2)
+    .split('|')
+    .map(response => response.trim())
+    .filter(Boolean);
+  if (definition.responses.length === 0 || definition.responses.length > MAX_RESPONSES) {
+    throw new Error(`Give between 1 and ${MAX_RESPONSES} responses separated by "|"`);
+  }
+
+  return definition;
+}
+
+// Add a trigger to a chat from the arguments of /trigger_add
+async function addTrigger(storage, chatId, args, createdBy) {
+  const definition = parseTriggerDefinition(args);
+  await ensureDefaultTriggers(storage, chatId);
+
+  const trigger = {
+    chatId,
+    ...definition,
+    isDefault: false,
+    createdBy,
+    createdAt: new Date(),
+    lastFiredAt: null
+  };
+  trigger._id = await storage.triggers.insert(trigger);
+  return trigger;
+}
+
+// Remove a trigger by its number in /trigger_list
+async function removeTrigger(storage, chatId, number) {
+  const triggers = await getTriggers(storage, chatId);
+  const trigger = triggers[number - 1];
+  if (!trigger) return null;
+
+  await storage.triggers.delete(trigger._id);
+  return trigger;
+}
+
+// Triggers whose pattern and user filter match a text, with their numbers in /trigger_list
+async function testTriggers(storage, chatId, text, from) {
+  const triggers = await getTriggers(storage, chatId);
+  return triggers
+    .map((trigger, index) => ({ trigger, number: index + 1 }))
+    .filter(({ trigger }) => matchesTrigger(trigger, text, from));
+}
+
+// One line description of a trigger for command replies (HTML escaped by the caller)
+function describeTrigger(trigger) {
+  const options = [];
+  if (trigger.probability !== undefined && trigger.probability < 1) {
+    options.push(`${Math.round(trigger.probability * 100)}%`);
+  }
+  if (trigger.cooldownSeconds) {
+    options.push(`cooldown ${trigger.cooldownSeconds}s`);
+  }
+  if (trigger.users && trigger.users.length > 0) {
+    options.push(`only ${trigger.users.map(user => (/^\d+$/.test(user) ? user : `@${user}`)).join(', ')}`);
+  }
+  if (trigger.normalize) {
+    options.push('homoglyphs');
+  }
+
+  const suffix = options.length > 0 ? ` (${options.join(', ')})` : '';
+  return `/${trigger.pattern}/ => ${trigger.responses.join(' | ')}${suffix}`;
+}
+
+module.exports = {
+  DEFAULT_TRIGGERS,
+  normalizeHomoglyphs,
+  getTriggers,
+  runTriggers,
+  addTrigger,
+  removeTrigger,
+  testTriggers,
+  describeTrigger
+};
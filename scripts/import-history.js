@@ -0,0 +1,348 @@
+// Backfill the media database from a Telegram Desktop chat export (JSON format).
+//
+// Usage: node scripts/import-history.js <export dir or result.json> [options]
+//   --chat-id <id>      Bot API id of the chat, derived from the export when omitted
+//   --threshold <n>     Similarity threshold, defaults to the chat's setting
+//   --with-stats        Also import text messages and rebuild userStats from the history
+//   --restart           Ignore the progress of earlier runs
+//   --report <file>     Where to write the report of duplicates found inside the history
+//
+// Media and text messages that are already stored are skipped, so the import can be stopped
+// and run again at any time. Progress is kept with the rest of the data in the storage.
+
+const fs = require('fs');
+const path = require('path');
+const { hashMedia } = require('../lib/fingerprint');
+const { findSimilarMedia, storeMedia } = require('../lib/duplicates');
+const { getChatSettings } = require('../lib/settings');
+const { createStorage } = require('../lib/storage');
+
+// Save progress after this many messages
+const PROGRESS_INTERVAL = 50;
+
+const USAGE = 'Usage: node scripts/import-history.js <export dir or result.json> ' +
+  '[--chat-id <id>] [--threshold <n>] [--with-stats] [--restart] [--report <file>]';
+
+// Parse the command line into { exportPath, chatId, threshold, withStats, restart, reportPath }
+function parseArgs(argv) {
+  const options = { withStats: false, restart: false };
+  const args = [...argv];
+
+  while (args.length > 0) {
+    const arg = args.shift();
+    if (arg === '--with-stats') {
+      options.withStats = true;
+    } else if (arg === '--restart') {
+      options.restart = true;
+    } else if (arg === '--chat-id' || arg === '--threshold' || arg === '--report') {
+      const value = args.shift();
+      if (value === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      if (arg === '--report') {
+        options.reportPath = value;
+      } else {
+        const number = Number(value);
+        if (!Number.isSafeInteger(number)) {
+          throw new Error(`${arg} must be a whole number`);
+        }
+        options[arg === '--chat-id' ? 'chatId' : 'threshold'] = number;
+      }
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!options.exportPath) {
+      options.exportPath = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!options.exportPath) {
+    throw new Error('Missing the export path');
+  }
+  return options;
+}
+
+// Read result.json of a single chat export
+function readExport(exportPath) {
+  const resultPath = fs.statSync(exportPath).isDirectory()
+    ? path.join(exportPath, 'result.json')
+    : exportPath;
+  const data = JSON.parse(fs.readFileSync(resultPath, 'utf8'));
+
+  if (!Array.isArray(data.messages)) {
+    throw new Error('The export has no messages, export a single chat in JSON format');
+  }
+  return { data, baseDir: path.dirname(resultPath) };
+}
+
+// Bot API id of an exported chat: supergroups get the -100 prefix, basic groups are negative
+function getBotApiChatId(data) {
+  if (/supergroup|channel/.test(data.type)) {
+    return Number(`-100${data.id}`);
+  }
+  if (/group/.test(data.type)) {
+    return -data.id;
+  }
+  throw new Error(`Chats of type "${data.type}" are not supported, pass --chat-id to import anyway`);
+}
+
+// Plain text of an exported message, whose text may be a list of formatted parts
+function getMessageText(message) {
+  if (typeof message.text === 'string') {
+    return message.text;
+  }
+  return (message.text || []).map(part => (typeof part === 'string' ? part : part.text)).join('');
+}
+
+// File and media type of the media in an exported message, the same kinds the bot checks.
+// Returns null for other media and for files that were left out of the export.
+function getExportedMedia(message) {
+  let file;
+  let mediaType;
+
+  if (message.photo) {
+    file = message.photo;
+    mediaType = 'photo';
+  } else if (message.media_type === 'animation' || (message.file && message.mime_type === 'image/gif')) {
+    file = message.file;
+    mediaType = 'animation';
+  } else if (message.media_type === 'video_file') {
+    file = message.file;
+    mediaType = 'video';
+  } else if (message.file && !message.media_type && (message.mime_type || '').startsWith('image/')) {
+    file = message.file;
+    mediaType = 'document';
+  }
+
+  if (!file || file.startsWith('(File not included')) {
+    return null;
+  }
+  return { file, mediaType };
+}
+
+// Author of an exported message, from ids like "user123456".
+// The export only has display names, they are kept as the first name.
+function getAuthor(message) {
+  const userId = Number(String(message.from_id || '').replace(/^\D+/, ''));
+  return {
+    userId: Number.isSafeInteger(userId) && userId > 0 ? userId : null,
+    author: { username: null, firstName: message.from || null, lastName: null }
+  };
+}
+
+// Time of an exported message, `date` is in the local time of the exporting computer
+function getTimestamp(message) {
+  return message.date_unixtime
+    ? new Date(Number(message.date_unixtime) * 1000)
+    : new Date(message.date);
+}
+
+// Recompute the message counts of userStats from the stored media and text messages.
+// Albums stored by the bot count once like in the live statistics, the export doesn't tell
+// which of its items were sent together. Duplicate and reaction counts are left alone.
+async function rebuildUserStats(storage, chatId) {
+  const users = new Map();
+  const getUser = (userId) => {
+    if (!users.has(userId)) {
+      users.set(userId, {
+        photoCount: 0,
+        videoCount: 0,
+        documentCount: 0,
+        animationCount: 0,
+        textCount: 0,
+        firstSeen: null,
+        lastActive: null
+      });
+    }
+    return users.get(userId);
+  };
+
+  const addActivity = (user, { first, last, username, firstName, lastName }) => {
+    if (!user.firstSeen || first < user.firstSeen) user.firstSeen = first;
+    if (!user.lastActive || last > user.lastActive) user.lastActive = last;
+    if (username) user.username = username;
+    if (firstName) user.firstName = firstName;
+    if (lastName) user.lastName = lastName;
+  };
+
+  for (const summary of await storage.media.summarizeByUser(chatId)) {
+    const user = getUser(summary.userId);
+    const countField = `${summary.mediaType}Count`;
+    user[countField] = (user[countField] || 0) + summary.count;
+    addActivity(user, summary);
+  }
+
+  for (const summary of await storage.textMessages.summarizeByUser(chatId)) {
+    const user = getUser(summary.userId);
+    user.textCount = summary.count;
+    addActivity(user, summary);
+  }
+
+  // Names seen by the bot are kept, the export only has display names
+  for (const [userId, user] of users) {
+    const totalMessages = user.photoCount + user.videoCount + user.documentCount +
+      user.animationCount + user.textCount;
+    await storage.userStats.setCounts(chatId, userId, { ...user, totalMessages });
+  }
+
+  return users.size;
+}
+
+async function importHistory(storage, options) {
+  const { data, baseDir } = readExport(options.exportPath);
+  const chatId = options.chatId !== undefined ? options.chatId : getBotApiChatId(data);
+  const threshold = options.threshold !== undefined
+    ? options.threshold
+    : (await getChatSettings(storage, chatId)).similarityThreshold;
+
+  if (options.restart) {
+    await storage.imports.delete(chatId);
+  }
+  const progress = await storage.imports.start(chatId, {
+    chatName: data.name,
+    lastMessageId: 0,
+    counts: { media: 0, texts: 0, duplicates: 0, skipped: 0, failed: 0 },
+    duplicates: [],
+    startedAt: new Date()
+  });
+  const counts = progress.counts;
+  const foundDuplicates = [];
+
+  console.log(`Importing "${data.name}" into chat ${chatId} with similarity threshold ${threshold}`);
+  if (progress.lastMessageId > 0) {
+    console.log(`Resuming after message ${progress.lastMessageId}`);
+  }
+
+  // Saves the position together with the duplicates found since the last save
+  let lastMessageId = progress.lastMessageId;
+  const saveProgress = async () => {
+    await storage.imports.saveProgress(chatId, { lastMessageId, counts, updatedAt: new Date() }, foundDuplicates.splice(0));
+  };
+
+  const messages = data.messages
+    .filter(message => message.type === 'message' && message.id > progress.lastMessageId)
+    .sort((a, b) => a.id - b.id);
+
+  for (const [index, message] of messages.entries()) {
+    const { userId, author } = getAuthor(message);
+    const timestamp = getTimestamp(message);
+    const media = getExportedMedia(message);
+
+    if (media) {
+      const stored = await storage.media.findByMessage(chatId, message.id);
+
+      if (stored) {
+        counts.skipped++;
+      } else {
+        try {
+          const buffer = fs.readFileSync(path.join(baseDir, media.file));
+          const fingerprint = await hashMedia(buffer, media.mediaType);
+          const existingMedia = await findSimilarMedia(storage, fingerprint, media.mediaType, chatId, threshold);
+
+          if (existingMedia) {
+            // Kept out of `media` like duplicates the bot catches live
+            counts.duplicates++;
+            foundDuplicates.push({
+              messageId: message.id,
+              userId,
+              ...author,
+              mediaType: media.mediaType,
+              timestamp,
+              originalMessageId: existingMedia.originalMessageId,
+              originalUsername: existingMedia.username || null,
+              originalFirstName: existingMedia.firstName || null,
+              originalLastName: existingMedia.lastName || null,
+              originalTimestamp: existingMedia.timestamp,
+              distance: existingMedia.distance,
+              matchedTransform: existingMedia.matchedTransform || null
+            });
+          } else {
+            await storeMedia(storage, {
+              chatId,
+              userId,
+              author,
+              mediaType: media.mediaType,
+              fingerprint,
+              messageId: message.id,
+              timestamp
+            });
+            counts.media++;
+          }
+        } catch (error) {
+          counts.failed++;
+          console.error(`Failed to import ${media.file} of message ${message.id}:`, error.message);
+        }
+      }
+    } else if (options.withStats && !message.photo && !message.file && getMessageText(message).trim()) {
+      const stored = await storage.textMessages.findByMessage(chatId, message.id);
+
+      if (stored) {
+        counts.skipped++;
+      } else {
+        await storage.textMessages.insert({
+          userId,
+          ...author,
+          messageId: message.id,
+          timestamp,
+          chatId
+        });
+        counts.texts++;
+      }
+    }
+
+    lastMessageId = message.id;
+    if ((index + 1) % PROGRESS_INTERVAL === 0) {
+      await saveProgress();
+      console.log(`${index + 1}/${messages.length} messages: ${counts.media} media, ${counts.duplicates} duplicates`);
+    }
+  }
+
+  await saveProgress();
+  await storage.imports.saveProgress(chatId, { completedAt: new Date() }, []);
+
+  if (options.withStats) {
+    const userCount = await rebuildUserStats(storage, chatId);
+    console.log(`Rebuilt statistics of ${userCount} users`);
+  }
+
+  // The report covers every run of this import, not just the last one
+  const { duplicates } = await storage.imports.get(chatId);
+  const reportPath = options.reportPath || `import-report-${chatId}.json`;
+  fs.writeFileSync(reportPath, JSON.stringify({ chatId, chatName: data.name, counts, duplicates }, null, 2));
+
+  console.log(`Imported ${counts.media} media and ${counts.texts} text messages, ` +
+    `skipped ${counts.skipped} already stored, ${counts.failed} failed`);
+  console.log(`Found ${counts.duplicates} duplicates inside the history, report written to ${reportPath}`);
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let storage;
+  try {
+    storage = createStorage();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  try {
+    await storage.connect();
+    await importHistory(storage, options);
+  } catch (error) {
+    console.error('Import failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await storage.close();
+  }
+}
+
+main();
@@ -0,0 +1,78 @@
+// Run the bot on recorded Telegram updates, without Telegram and without a database.
+//
+// Usage: node scripts/replay.js <updates.jsonl> [options]
+//   --fixtures <dir>     Files to serve for downloads, named by file_id (default: next to the updates)
+//   --transcript <file>  Where to write the calls the bot made (default: replay-transcript.json)
+//   --admin <userId>     Treat this user as a chat admin, may be repeated
+//   --seed <n>           Seed for random trigger responses (default: 1)
+//
+// Each line of the updates file is one update as received from getUpdates or the webhook.
+// The transcript lists every sendMessage, sendPhoto, editMessageText, deleteMessage, banChatMember,
+// unbanChatMember, restrictChatMember and answerCallbackQuery call with the update_id that caused it.
+// Data is kept in memory, so every replay starts from an empty database.
+// The clock is set to the date of each update as it is replayed and record ids count up from 1,
+// so a duplicate report's buttons are `dup:fp:000000000000000000000001` and so on.
+
+const USAGE = 'Usage: node scripts/replay.js <updates.jsonl> ' +
+  '[--fixtures <dir>] [--transcript <file>] [--admin <userId>] [--seed <n>]';
+
+// Parse the command line into { updatesPath, fixturesDir, transcriptPath, admins, seed }
+function parseArgs(argv) {
+  const options = { admins: [] };
+  const args = [...argv];
+
+  while (args.length > 0) {
+    const arg = args.shift();
+    if (arg === '--fixtures' || arg === '--transcript' || arg === '--admin' || arg === '--seed') {
+      const value = args.shift();
+      if (value === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      if (arg === '--fixtures') {
+        options.fixturesDir = value;
+      } else if (arg === '--transcript') {
+        options.transcriptPath = value;
+      } else {
+        const number = Number(value);
+        if (!Number.isSafeInteger(number)) {
+          throw new Error(`${arg} must be a whole number`);
+        }
+        if (arg === '--admin') {
+          options.admins.push(number);
+        } else {
+          options.seed = number;
+        }
+      }
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!options.updatesPath) {
+      options.updatesPath = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!options.updatesPath) {
+    throw new Error('Missing the updates file');
+  }
+  return options;
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// The bot reads its replay configuration from the environment
+process.env.STORAGE = 'memory';
+process.env.REPLAY_FILE = options.updatesPath;
+if (options.fixturesDir) process.env.REPLAY_FIXTURES = options.fixturesDir;
+if (options.transcriptPath) process.env.REPLAY_TRANSCRIPT = options.transcriptPath;
+if (options.admins.length > 0) process.env.REPLAY_ADMINS = options.admins.join(',');
+if (options.seed !== undefined) process.env.REPLAY_SEED = String(options.seed);
+
+require('../bot');
@@ -0,0 +1,35 @@
+// Checks of link normalization: shares of the same post get the same key, different posts don't.
+//
+// Usage: node test/links.js
+
+const assert = require('assert');
+const { normalizeUrl } = require('../lib/links');
+
+// Links that must normalize to the same key
+const SAME = [
+  ['https://youtu.be/dQw4w9WgXcQ?si=abc', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+  ['youtube.com/shorts/dQw4w9WgXcQ', 'm.youtube.com/watch?v=dQw4w9WgXcQ&t=42'],
+  ['youtube.com/watch?v=dQw4w9WgXcQ&list=PLaaa', 'youtube.com/watch?v=dQw4w9WgXcQ'],
+  ['youtube.com/playlist?list=PLaaa&si=abc', 'https://www.youtube.com/playlist?list=PLaaa'],
+  ['youtube.com/results?search_query=cats&utm_source=share', 'youtube.com/results?search_query=cats'],
+  ['https://x.com/someone/status/123?s=20', 'twitter.com/i/web/status/123'],
+  ['https://old.reddit.com/r/memes/comments/AbC12/title/', 'redd.it/abc12']
+];
+
+// Links that must normalize to different keys
+const DIFFERENT = [
+  ['youtube.com/playlist?list=PLaaa', 'youtube.com/playlist?list=PLbbb'],
+  ['youtube.com/results?search_query=cats', 'youtube.com/results?search_query=dogs'],
+  ['youtube.com/watch?v=aaa', 'youtube.com/watch?v=bbb'],
+  ['youtube.com/watch?list=PLaaa', 'youtube.com/watch?list=PLbbb'],
+  ['example.com/page?id=1', 'example.com/page?id=2']
+];
+
+for (const [first, second] of SAME) {
+  assert.strictEqual(normalizeUrl(first), normalizeUrl(second), `${first} and ${second} should be the same link`);
+}
+for (const [first, second] of DIFFERENT) {
+  assert.notStrictEqual(normalizeUrl(first), normalizeUrl(second), `${first} and ${second} should be different links`);
+}
+
+console.log(`Link normalization: ${SAME.length + DIFFERENT.length} checks passed`);
@@ -0,0 +1,86 @@
+// Regression test: replay the recorded updates in test/replay and compare what the bot sent
+// with the expected transcript next to them.
+//
+// Usage: node test/replay.js [--update]
+//   --update  Save the new transcript as the expected one instead of comparing them
+//
+// The replay runs in its own process with the in-memory storage, in UTC so dates and the
+// activity chart come out the same everywhere.
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REPLAY_DIR = path.join(__dirname, 'replay');
+const UPDATES_PATH = path.join(REPLAY_DIR, 'updates.jsonl');
+const FIXTURES_DIR = path.join(REPLAY_DIR, 'fixtures');
+const EXPECTED_PATH = path.join(REPLAY_DIR, 'transcript.json');
+
+// Users the recording treats as chat admins
+const ADMINS = ['99'];
+
+// Lines around a difference that are shown with it
+const CONTEXT_LINES = 3;
+
+// Run the replay and return its transcript as written to the file
+function runReplay() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+  const transcriptPath = path.join(tempDir, 'transcript.json');
+  try {
+    execFileSync(process.execPath, [
+      path.join(__dirname, '..', 'scripts', 'replay.js'),
+      UPDATES_PATH,
+      '--fixtures', FIXTURES_DIR,
+      '--transcript', transcriptPath,
+      ...ADMINS.flatMap(admin => ['--admin', admin])
+    ], {
+      env: { ...process.env, TZ: 'UTC' },
+      stdio: ['ignore', 'ignore', 'inherit'],
+      timeout: 5 * 60 * 1000
+    });
+    return fs.readFileSync(transcriptPath, 'utf8');
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// First differing line of two texts with the lines around it, or null when they are equal
+function describeDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  let line = 0;
+  while (line < expectedLines.length && line < actualLines.length && expectedLines[line] === actualLines[line]) {
+    line++;
+  }
+  if (line === expectedLines.length && line === actualLines.length) {
+    return null;
+  }
+
+  const start = Math.max(0, line - CONTEXT_LINES);
+  const end = line + CONTEXT_LINES + 1;
+  const excerpt = (lines, sign) => lines.slice(start, end)
+    .map((text, index) => `${start + index === line ? sign : ' '} ${start + index + 1}: ${text}`)
+    .join('\n');
+  return `First difference at line ${line + 1} of the transcript\n` +
+    `--- expected\n${excerpt(expectedLines, '-')}\n` +
+    `+++ actual\n${excerpt(actualLines, '+')}`;
+}
+
+const update = process.argv.includes('--update');
+const actual = runReplay();
+
+if (update) {
+  fs.writeFileSync(EXPECTED_PATH, actual);
+  console.log(`Wrote ${path.relative(process.cwd(), EXPECTED_PATH)}`);
+} else {
+  const expected = fs.readFileSync(EXPECTED_PATH, 'utf8');
+  const difference = describeDifference(expected, actual);
+  if (difference) {
+    console.error(difference);
+    console.error('\nRun `node test/replay.js --update` if the change is intended.');
+    process.exitCode = 1;
+  } else {
+    console.log(`Replay transcript matches ${path.relative(process.cwd(), EXPECTED_PATH)}`);
+  }
+}